@@ -43,7 +43,7 @@ async function loadArtworkData(artworkId) {
         const allArtworks = await metadataProcessor.initialize();
         
         // Find the specific artwork
-        currentArtwork = metadataProcessor.getArtworkById(artworkId);
+        currentArtwork = await metadataProcessor.loadArtwork(artworkId);
         
         if (!currentArtwork) {
             showErrorState('Artwork not found');
@@ -4,11 +4,15 @@
  */
 
 import { MetadataProcessor } from './metadata.js';
+import { formatPrice } from './pricing.js';
+import { toDimensions, formatDimensions, getPreferredUnit, setPreferredUnit } from './dimensions.js';
+import { buildArtworkSchema } from './seo.js';
 
 // Global variables
 let currentArtwork = null;
 let metadataProcessor = null;
 let currentImages = [];
+let currentImageCaptions = [];
 let currentImageIndex = 0;
 let zoomLevel = 1 ;
 let isDragging = false;
@@ -26,9 +30,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Initialize metadata processor
         metadataProcessor = new MetadataProcessor();
         
-        // Get artwork ID from URL parameters
-        const urlParams = new URLSearchParams(window.location.search);
-        const artworkId = urlParams.get('id');
+        const artworkId = getArtworkId();
         
         if (!artworkId) {
             showErrorState('No artwork ID provided');
@@ -54,16 +56,36 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
+/**
+ * Get the artwork ID from the prerendered page, the /artwork/<ID>/ path
+ * or the ?id= parameter
+ */
+function getArtworkId() {
+    if (document.documentElement.dataset.artworkId) {
+        return document.documentElement.dataset.artworkId;
+    }
+    
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('id')) return urlParams.get('id');
+    
+    const pathMatch = window.location.pathname.match(/\/artwork\/([^/]+)\/?$/);
+    return pathMatch ? decodeURIComponent(pathMatch[1]) : null;
+}
+
 /**
  * Load artwork data and display it
  */
 async function loadArtworkData(artworkId) {
     try {
-        // Initialize metadata and get all artworks
-        const allArtworks = await metadataProcessor.initialize();
+        // Load the portfolio index, then only the shard of the artwork's collection
+        await metadataProcessor.initialize();
+        if (metadataProcessor.loadError) {
+            showErrorState(metadataProcessor.loadError);
+            return;
+        }
         
         // Find the specific artwork and related images
-        currentArtwork = metadataProcessor.getArtworkById(artworkId);
+        currentArtwork = await metadataProcessor.loadArtwork(artworkId);
         
         if (!currentArtwork) {
             showErrorState('Artwork not found');
@@ -71,7 +93,7 @@ async function loadArtworkData(artworkId) {
         }
 
         // Find all images for this artwork (support for multiple images)
-        await findArtworkImages(artworkId);
+        findArtworkImages();
         
         // Display the artwork
         displayArtwork(currentArtwork);
@@ -79,8 +101,10 @@ async function loadArtworkData(artworkId) {
         // Setup all interactions
         setupInteractions();
         
-        // Update SEO metadata
-        updateSEOMetadata(currentArtwork);
+        // Prerendered pages already carry the artwork's SEO metadata
+        if (!document.documentElement.dataset.artworkId) {
+            updateSEOMetadata(currentArtwork);
+        }
         
         // Hide loading state
         hideLoadingState();
@@ -92,30 +116,16 @@ async function loadArtworkData(artworkId) {
 }
 
 /**
- * Find all images for an artwork (supports numbered versions)
+ * Load the artwork's images from the images[] list written by the build
+ * (main image, numbered views, details and installation views)
  */
-async function findArtworkImages(artworkId) {
-    currentImages = [currentArtwork.imageUrl];
-    
-    // Check for additional numbered images
-    const baseImageUrl = currentArtwork.imageUrl;
-    const baseName = baseImageUrl.split('.')[0]; // Remove extension
-    const extension = baseImageUrl.split('.').pop();
-    
-    // Try to find numbered versions (artwork_001.jpg, artwork_002.jpg, etc.)
-    for (let i = 1; i <= 10; i++) {
-        const numberedUrl = `${baseName}_${i.toString().padStart(3, '0')}.${extension}`;
-        try {
-            const response = await fetch(numberedUrl, { method: 'HEAD' });
-            if (response.ok) {
-                currentImages.push(numberedUrl);
-            }
-        } catch (error) {
-            // Image doesn't exist, continue
-            break;
-        }
-    }
+function findArtworkImages() {
+    const images = Array.isArray(currentArtwork.images) && currentArtwork.images.length > 0
+        ? currentArtwork.images
+        : [{ url: currentArtwork.imageUrl }];
     
+    currentImages = images.map(image => image.url);
+    currentImageCaptions = images.map(image => image.caption || '');
     currentImageIndex = 0;
 }
 
@@ -128,11 +138,13 @@ function displayArtwork(artwork) {
     // Update page title
     document.getElementById('page-title').textContent = `${artwork.title || 'Artwork'} | Art Portfolio`;
     
-    // Main image
+    // Main image, or a placeholder when the build found no image file
     const artworkImage = document.getElementById('artwork-image');
-    if (artworkImage) {
+    if (artwork.missingImage) {
+        showImagePlaceholder(artwork);
+    } else if (artworkImage) {
         artworkImage.src = currentImages[currentImageIndex];
-        artworkImage.alt = artwork.title || 'Artwork';
+        artworkImage.alt = artwork.alt || artwork.title || 'Artwork';
         
         // Reset zoom and center image when it loads
         artworkImage.onload = () => {
@@ -144,11 +156,11 @@ function displayArtwork(artwork) {
     // Artwork details
     updateTextContent('artwork-title', artwork.title || 'Untitled');
     updateTextContent('artwork-medium', artwork.medium || '-');
-    updateTextContent('artwork-dimensions', artwork.dimensions || '-');
+    updateDimensions(artwork);
     updateTextContent('artwork-year', artwork.year || '-');
     updateTextContent('artwork-collection', artwork.collection || '-');
     updateTextContent('artwork-description-text', artwork.description || 'No description available.');
-    updateTextContent('artwork-price', artwork.price || 'Price on request');
+    updateTextContent('artwork-price', formatPrice(artwork.price, metadataProcessor.locale) || 'Price on request');
     
     // Availability badge
     const badgeElement = document.getElementById('availability-badge');
@@ -174,6 +186,56 @@ function displayArtwork(artwork) {
     document.getElementById('artwork-content').style.display = 'block';
 }
 
+/**
+ * Show the dimensions in the visitor's preferred unit, with a cm/in toggle.
+ * The choice is remembered for the gallery and other artwork pages.
+ */
+function updateDimensions(artwork) {
+    const unit = getPreferredUnit(metadataProcessor.displayUnit);
+    updateTextContent('artwork-dimensions', formatDimensions(artwork.dimensions, unit) || '-');
+    
+    const toggle = document.getElementById('dimension-unit-toggle');
+    if (!toggle) return;
+    
+    if (!toDimensions(artwork.dimensions)) {
+        toggle.style.display = 'none';
+        return;
+    }
+    
+    const otherUnit = unit === 'cm' ? 'in' : 'cm';
+    toggle.textContent = `Show in ${otherUnit === 'cm' ? 'centimetres' : 'inches'}`;
+    toggle.style.display = '';
+    toggle.onclick = () => {
+        setPreferredUnit(otherUnit);
+        updateDimensions(artwork);
+    };
+}
+
+/**
+ * Replace the main image and its zoom controls with a placeholder card
+ */
+function showImagePlaceholder(artwork) {
+    const artworkImage = document.getElementById('artwork-image');
+    const imageViewport = document.querySelector('.image-viewport');
+    const zoomControls = document.querySelector('.zoom-controls');
+    
+    if (artworkImage) artworkImage.style.display = 'none';
+    if (zoomControls) zoomControls.style.display = 'none';
+    
+    if (imageViewport && !imageViewport.querySelector('.artwork-image-placeholder')) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'artwork-image-placeholder';
+        placeholder.setAttribute('role', 'img');
+        placeholder.setAttribute('aria-label', `${artwork.title || 'Artwork'} (image not available)`);
+        placeholder.innerHTML = `
+            <span class="artwork-image-placeholder-title"></span>
+            <span class="artwork-image-placeholder-note">Image coming soon</span>
+        `;
+        placeholder.querySelector('.artwork-image-placeholder-title').textContent = artwork.title || 'Untitled';
+        imageViewport.appendChild(placeholder);
+    }
+}
+
 /**
  * Setup image carousel for multiple images
  */
@@ -196,14 +258,31 @@ function setupImageCarousel() {
             currentImages.forEach((imageUrl, index) => {
                 const thumbnail = document.createElement('div');
                 thumbnail.className = `thumbnail ${index === 0 ? 'active' : ''}`;
-                thumbnail.innerHTML = `<img src="${imageUrl}" alt="View ${index + 1}">`;
+                const image = document.createElement('img');
+                image.src = imageUrl;
+                image.alt = currentImageCaptions[index] || `View ${index + 1}`;
+                thumbnail.appendChild(image);
                 thumbnail.addEventListener('click', () => switchToImage(index));
                 thumbnailsScroll.appendChild(thumbnail);
             });
         }
+        
+        updateImageCaption(currentImageIndex);
     }
 }
 
+/**
+ * Show the caption of the current carousel image, if it has one
+ */
+function updateImageCaption(index) {
+    const captionElement = document.getElementById('image-caption');
+    if (!captionElement) return;
+    
+    const caption = currentImageCaptions[index] || '';
+    captionElement.textContent = caption;
+    captionElement.style.display = caption ? 'block' : 'none';
+}
+
 /**
  * Switch to a specific image in the carousel
  */
@@ -226,6 +305,8 @@ function switchToImage(index) {
         thumbnails.forEach((thumb, i) => {
             thumb.classList.toggle('active', i === index);
         });
+        
+        updateImageCaption(index);
     }
 }
 
@@ -768,24 +849,7 @@ function updateSEOMetadata(artwork) {
     // Update structured data
     const schemaScript = document.getElementById('artwork-schema');
     if (schemaScript) {
-        const schema = {
-            "@context": "https://schema.org",
-            "@type": "VisualArtwork",
-            "name": artwork.title,
-            "creator": {
-                "@type": "Person",
-                "name": "Tamara Grand"
-            },
-            "image": artwork.imageUrl,
-            "description": artwork.description,
-            "medium": artwork.medium,
-            "dateCreated": artwork.year,
-            "offers": {
-                "@type": "Offer",
-                "price": artwork.price,
-                "availability": artwork.available ? "InStock" : "OutOfStock"
-            }
-        };
+        const schema = buildArtworkSchema(artwork, { url: window.location.href, artist: 'Tamara Grand' });
         schemaScript.textContent = JSON.stringify(schema);
     }
 }
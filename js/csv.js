@@ -0,0 +1,165 @@
+/**
+ * CSV Parsing Module
+ * RFC 4180 CSV parser shared by the build script and the browser
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Detect the delimiter by counting candidates outside quotes on the header line
+ */
+export function detectDelimiter(csvText) {
+    const counts = new Map(CANDIDATE_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (let i = 0; i < csvText.length; i++) {
+        const char = csvText[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    let best = ',';
+    counts.forEach((count, delimiter) => {
+        if (count > counts.get(best)) {
+            best = delimiter;
+        }
+    });
+    return best;
+}
+
+/**
+ * Split CSV text into records of raw field values.
+ * Each record carries the 1-based line number it starts on.
+ */
+export function parseCSVRecords(csvText, options = {}) {
+    const text = stripBOM(csvText || '');
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const records = [];
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+    };
+
+    const endRecord = () => {
+        endField();
+        records.push({ fields, line: recordLine });
+        fields = [];
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    // Escaped quote
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            // Treat \r\n, \n and bare \r as a single record break
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    // Add the last record unless the text ended with a line break
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+
+    return records;
+}
+
+/**
+ * Parse CSV text into an array of row objects keyed by header.
+ *
+ * Options:
+ * - delimiter: field separator (auto-detected when omitted)
+ * - trim: trim whitespace around values (default true)
+ *
+ * Duplicate header names are suffixed with their occurrence number,
+ * e.g. the second "Dimensions" column becomes "Dimensions_2".
+ */
+export function parseCSV(csvText, options = {}) {
+    return parseCSVWithLines(csvText, options).map(({ row }) => row);
+}
+
+/**
+ * Parse CSV text into row objects paired with the line each row starts on
+ */
+export function parseCSVWithLines(csvText, options = {}) {
+    const trim = options.trim !== false;
+    const records = parseCSVRecords(csvText, options);
+    if (records.length === 0) return [];
+
+    const headers = uniqueHeaders(records[0].fields.map(header => header.trim()));
+    const result = [];
+
+    for (let r = 1; r < records.length; r++) {
+        const { fields, line } = records[r];
+        const values = trim ? fields.map(value => value.trim()) : fields;
+
+        // Skip blank records
+        if (!values.some(value => value.trim())) continue;
+
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = values[index] || '';
+        });
+        result.push({ row, line });
+    }
+
+    return result;
+}
+
+/**
+ * Make header names unique by suffixing repeats
+ */
+function uniqueHeaders(headers) {
+    const seen = new Map();
+    return headers.map(header => {
+        const count = (seen.get(header) || 0) + 1;
+        seen.set(header, count);
+        return count === 1 ? header : `${header}_${count}`;
+    });
+}
+
+/**
+ * Remove a leading byte order mark
+ */
+function stripBOM(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
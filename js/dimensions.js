@@ -0,0 +1,135 @@
+/**
+ * Dimensions Module
+ * Parses, converts and formats artwork dimensions, shared by the build script and the browser
+ */
+
+// Unit suffixes accepted after a number, and the unit each stands for
+const UNIT_ALIASES = {
+    mm: 'mm',
+    cm: 'cm',
+    m: 'm',
+    in: 'in',
+    inch: 'in',
+    inches: 'in',
+    '"': 'in',
+    '″': 'in',
+    ft: 'ft',
+    feet: 'ft'
+};
+
+// Centimetres per unit
+const CM_PER_UNIT = { mm: 0.1, cm: 1, m: 100, in: 2.54, ft: 30.48 };
+
+export const DIMENSION_UNITS = Object.keys(CM_PER_UNIT);
+
+// Units visitors can choose to display dimensions in
+export const DISPLAY_UNITS = ['cm', 'in'];
+
+const PREFERENCE_KEY = 'dimensionUnit';
+
+const PART_PATTERN = /^(\d+(?:[.,]\d+)?)\s*(mm|cm|m|inches|inch|in|"|″|ft|feet)?$/i;
+
+/**
+ * Parse dimensions such as "71.1×101.6", "50 x 70 cm" or "30*24*2 in"
+ * into { width, height, depth, unit }, in width × height × depth order.
+ * Values without a unit use options.defaultUnit (default 'cm').
+ * Returns null when the text cannot be parsed.
+ */
+export function parseDimensions(text, options = {}) {
+    const parts = String(text || '').trim().split(/\s*[×xX*]\s*/);
+    if (parts.length < 2 || parts.length > 3) return null;
+
+    const values = [];
+    const units = new Set();
+    for (const part of parts) {
+        const match = part.match(PART_PATTERN);
+        if (!match) return null;
+        values.push(parseFloat(match[1].replace(',', '.')));
+        if (match[2]) units.add(UNIT_ALIASES[match[2].toLowerCase()]);
+    }
+
+    // Mixed units such as "30 cm x 12 in" are ambiguous
+    if (units.size > 1) return null;
+
+    return {
+        width: values[0],
+        height: values[1],
+        depth: values.length === 3 ? values[2] : null,
+        unit: units.size === 1 ? [...units][0] : (options.defaultUnit || 'cm')
+    };
+}
+
+/**
+ * Round a converted value to at most one decimal place
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Convert structured dimensions to another unit
+ */
+export function convertDimensions(dimensions, unit) {
+    if (!dimensions || dimensions.width === null || dimensions.unit === unit) return dimensions;
+
+    const factor = CM_PER_UNIT[dimensions.unit] / CM_PER_UNIT[unit];
+    const convert = value => (value === null ? null : round(value * factor));
+    return {
+        ...dimensions,
+        width: convert(dimensions.width),
+        height: convert(dimensions.height),
+        depth: convert(dimensions.depth),
+        unit
+    };
+}
+
+/**
+ * Read dimensions that may be structured or a plain string
+ * (portfolio.json built before structured dimensions).
+ * Returns null when they cannot be parsed.
+ */
+export function toDimensions(dimensions) {
+    if (!dimensions) return null;
+    if (typeof dimensions === 'string') return parseDimensions(dimensions);
+    return dimensions.width === null ? null : dimensions;
+}
+
+/**
+ * Format dimensions for display, e.g. "71.1 × 101.6 cm".
+ * Dimensions that could not be parsed are shown as written.
+ */
+export function formatDimensions(dimensions, unit) {
+    if (!dimensions) return '';
+    const parsed = toDimensions(dimensions);
+    if (!parsed) {
+        return typeof dimensions === 'string' ? dimensions : dimensions.display || '';
+    }
+
+    const converted = unit ? convertDimensions(parsed, unit) : parsed;
+    const values = [converted.width, converted.height, converted.depth].filter(value => value !== null);
+    return `${values.join(' × ')} ${converted.unit}`;
+}
+
+/**
+ * Get the visitor's preferred display unit, falling back to the site default
+ */
+export function getPreferredUnit(defaultUnit = 'cm') {
+    try {
+        const stored = localStorage.getItem(PREFERENCE_KEY);
+        if (DISPLAY_UNITS.includes(stored)) return stored;
+    } catch (error) {
+        // Storage unavailable (private mode), use the default
+    }
+    return DISPLAY_UNITS.includes(defaultUnit) ? defaultUnit : 'cm';
+}
+
+/**
+ * Remember the visitor's preferred display unit across pages
+ */
+export function setPreferredUnit(unit) {
+    try {
+        localStorage.setItem(PREFERENCE_KEY, unit);
+    } catch (error) {
+        // Storage unavailable, the preference lasts for this page only
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Facets Module
+ * Filter values of artworks (medium, size, availability, price range and year),
+ * shared by the build script (which writes data/facets.json) and the browser
+ * (which counts and filters them)
+ */
+
+import { slugifyTag } from './tags.js';
+import { formatPrice } from './pricing.js';
+
+// Upper bounds of the price ranges, applied to each currency's prices separately
+export const DEFAULT_PRICE_RANGES = [500, 1000, 2500, 5000];
+
+const AVAILABILITY_LABELS = {
+    available: 'Available',
+    sold: 'Sold',
+    'not-for-sale': 'Not for sale'
+};
+
+/**
+ * Facet value of free text such as a medium: slug and the text as written
+ */
+function textValue(text) {
+    const label = String(text || '').trim();
+    const value = slugifyTag(label);
+    return value ? { value, label } : null;
+}
+
+/**
+ * Availability of an artwork: available, sold or not for sale
+ */
+function availabilityValue(artwork) {
+    let value = 'not-for-sale';
+    if (artwork.available === true) {
+        value = 'available';
+    } else if (artwork.price && artwork.price.status === 'sold') {
+        value = 'sold';
+    }
+    return { value, label: AVAILABILITY_LABELS[value] };
+}
+
+/**
+ * Price range of a for-sale artwork in its own currency, e.g. "eur-500-1000"
+ * or "usd-5000-plus", so €1200 and $1200 never share a range.
+ * Ranges include their lower bound; prices on request get their own value.
+ */
+function priceRangeValue(price, { priceRanges, locale }) {
+    if (!price || price.status !== 'for-sale') return null;
+    if (price.amount === null) {
+        return price.onRequest ? { value: 'on-request', label: 'Price on request' } : null;
+    }
+
+    const prefix = price.currency ? `${price.currency.toLowerCase()}-` : '';
+    const format = amount => formatPrice({ amount, currency: price.currency, status: 'for-sale' }, locale);
+    const upper = priceRanges.findIndex(bound => price.amount < bound);
+    if (upper === 0) {
+        return { value: `${prefix}0-${priceRanges[0]}`, label: `Under ${format(priceRanges[0])}` };
+    }
+    if (upper === -1) {
+        const lowest = priceRanges[priceRanges.length - 1];
+        return { value: `${prefix}${lowest}-plus`, label: `${format(lowest)} and over` };
+    }
+    const [low, high] = [priceRanges[upper - 1], priceRanges[upper]];
+    return { value: `${prefix}${low}-${high}`, label: `${format(low)} – ${format(high)}` };
+}
+
+/**
+ * Currency and lower bound of a price range value, for sorting
+ */
+function parsePriceRange(value) {
+    const match = value.match(/^(?:([a-z]{3})-)?(\d+)-/);
+    return match
+        ? { currency: (match[1] || '').toUpperCase(), low: parseFloat(match[2]) }
+        : { currency: null, low: Infinity };
+}
+
+/**
+ * Year an artwork was made, when it has one
+ */
+function yearValue(year) {
+    const label = String(year === undefined || year === null ? '' : year).trim();
+    return label ? { value: label, label } : null;
+}
+
+// Facets in the order they are shown, with each artwork's value and how values are sorted
+export const FACETS = [
+    { key: 'medium', label: 'Medium', value: artwork => textValue(artwork.medium), sort: 'label' },
+    { key: 'size', label: 'Size', value: artwork => textValue(artwork.size), sort: 'label' },
+    { key: 'availability', label: 'Availability', value: availabilityValue, sort: 'fixed' },
+    { key: 'price', label: 'Price', value: (artwork, options) => priceRangeValue(artwork.price, options), sort: 'price' },
+    { key: 'year', label: 'Year', value: artwork => yearValue(artwork.year), sort: 'newest' }
+];
+
+const FACET_KEYS = FACETS.map(facet => facet.key);
+
+/**
+ * Sort facet values for display. Price ranges are grouped by currency,
+ * the site currency first, and prices on request come last.
+ */
+function sortValues(values, sort, currency) {
+    const availabilityOrder = Object.keys(AVAILABILITY_LABELS);
+    const currencyRank = range => (range.currency === null ? 2 : range.currency === currency ? 0 : 1);
+    const comparePrices = (a, b) => {
+        const [rangeA, rangeB] = [parsePriceRange(a.value), parsePriceRange(b.value)];
+        return currencyRank(rangeA) - currencyRank(rangeB) ||
+            (rangeA.currency || '').localeCompare(rangeB.currency || '') ||
+            rangeA.low - rangeB.low;
+    };
+    const comparators = {
+        label: (a, b) => a.label.localeCompare(b.label),
+        fixed: (a, b) => availabilityOrder.indexOf(a.value) - availabilityOrder.indexOf(b.value),
+        price: comparePrices,
+        newest: (a, b) => b.value.localeCompare(a.value, undefined, { numeric: true })
+    };
+    return values.sort(comparators[sort]);
+}
+
+/**
+ * Compute the facets of portfolio data:
+ * { facets: [{ key, label, values: [{ value, label }] }], artworks: [{ id, collection, medium, ... }] }
+ * where each artwork lists its value of every facet it has one for.
+ * Options: priceRanges (upper bounds), locale for the price labels and the
+ * site currency, whose price ranges are listed first.
+ */
+export function buildFacets(portfolioData, { priceRanges = DEFAULT_PRICE_RANGES, locale, currency } = {}) {
+    const options = { priceRanges: [...priceRanges].sort((a, b) => a - b), locale, currency };
+    const values = new Map(FACETS.map(facet => [facet.key, new Map()]));
+    const artworks = [];
+
+    Object.values(portfolioData.collections).forEach(collection => {
+        (collection.artworks || []).forEach(artwork => {
+            const row = { id: artwork.id, collection: collection.id };
+            FACETS.forEach(facet => {
+                const facetValue = facet.value(artwork, options);
+                if (!facetValue) return;
+                row[facet.key] = facetValue.value;
+                // The first spelling of a value is its label
+                if (!values.get(facet.key).has(facetValue.value)) {
+                    values.get(facet.key).set(facetValue.value, facetValue);
+                }
+            });
+            artworks.push(row);
+        });
+    });
+
+    return {
+        facets: FACETS.map(facet => ({
+            key: facet.key,
+            label: facet.label,
+            values: sortValues([...values.get(facet.key).values()], facet.sort, options.currency)
+        })),
+        artworks
+    };
+}
+
+/**
+ * Check whether any filter is selected
+ */
+export function hasActiveFilters(filters) {
+    return Object.values(filters).some(values => values.length > 0);
+}
+
+/**
+ * Check an artwork's facet values against the filters: any selected value of
+ * a facet matches, and every facet with a selection has to match.
+ * ignoreKey leaves one facet out, for counting that facet's values.
+ */
+export function matchesFilters(row, filters, ignoreKey = null) {
+    return Object.entries(filters).every(([key, selected]) =>
+        key === ignoreKey || selected.length === 0 || selected.includes(row[key])
+    );
+}
+
+/**
+ * Count the artworks with each facet value among those matching the other
+ * facets' filters, so counts show what selecting a value would give.
+ * Returns { key: Map(value -> count) }.
+ */
+export function countFacetValues(rows, filters) {
+    const counts = {};
+    FACET_KEYS.forEach(key => {
+        counts[key] = new Map();
+        rows.forEach(row => {
+            if (row[key] !== undefined && matchesFilters(row, filters, key)) {
+                counts[key].set(row[key], (counts[key].get(row[key]) || 0) + 1);
+            }
+        });
+    });
+    return counts;
+}
+
+/**
+ * Read filters from query string parameters (?medium=oil,acrylic&availability=available)
+ */
+export function parseFilters(searchParams) {
+    const filters = {};
+    FACET_KEYS.forEach(key => {
+        filters[key] = (searchParams.get(key) || '').split(',').map(value => value.trim()).filter(Boolean);
+    });
+    return filters;
+}
+
+/**
+ * Write filters to query string parameters, removing facets without a selection
+ */
+export function writeFilters(searchParams, filters) {
+    FACET_KEYS.forEach(key => {
+        const selected = filters[key] || [];
+        if (selected.length > 0) {
+            searchParams.set(key, selected.join(','));
+        } else {
+            searchParams.delete(key);
+        }
+    });
+}
@@ -3,6 +3,11 @@
  * Handles the gallery display, filtering, and interactions
  */
 
+import { formatPrice } from './pricing.js';
+import { toDimensions, convertDimensions, formatDimensions, getPreferredUnit } from './dimensions.js';
+import { findMatches } from './search.js';
+import { parseFilters, writeFilters, hasActiveFilters, matchesFilters, countFacetValues } from './facets.js';
+
 export class Gallery {
     constructor(containerId, metadataProcessor) {
         this.container = document.getElementById(containerId);
@@ -10,12 +15,41 @@ export class Gallery {
         this.currentArtworks = [];
         this.collections = new Map();
         this.collectionScrollPositions = new Map();
+        this.collectionRowObserver = null;
+        this.searchQuery = ''; // Current search, highlighted in artwork titles
+        this.filters = parseFilters(new URLSearchParams()); // Selected filter values by facet
+        this.facets = null; // data/facets.json, once the filter panel is built
+        this.visibleArtworkIds = null; // Artworks matching the search and filters, null to show all
+        this.refreshCount = 0; // Number of searches and filter changes, to drop outdated results
+        this.activeCollectionId = null; // Collection shown on its own (?collection=<ID>), null for all rows
         this.lightbox = null;
         
         this.initializeLightbox();
         this.bindEvents();
     }
 
+    /**
+     * Format an artwork's price for the site locale
+     */
+    formatArtworkPrice(artwork) {
+        return formatPrice(artwork.price, this.metadata && this.metadata.locale);
+    }
+
+    /**
+     * Format an artwork's dimensions in the visitor's preferred unit
+     */
+    formatArtworkDimensions(artwork) {
+        return formatDimensions(artwork.dimensions, getPreferredUnit(this.metadata && this.metadata.displayUnit));
+    }
+
+    /**
+     * Get an artwork's width and height in centimetres, or null when unknown
+     */
+    getDimensionsInCm(dimensions) {
+        const parsed = toDimensions(dimensions);
+        return parsed ? convertDimensions(parsed, 'cm') : null;
+    }
+
     /**
      * Generate thumbnail URL from original image URL
      */
@@ -70,6 +104,10 @@ export class Gallery {
         try {
             console.log('🎨 Initializing gallery...');
             const data = await this.metadata.initialize();
+            if (this.metadata.loadError) {
+                this.renderError(this.metadata.loadError);
+                return;
+            }
             this.currentArtworks = data.artworks || data; // Handle both old and new format
             this.collections = data.collections || new Map();
             console.log(`🖼️ Gallery received ${this.currentArtworks.length} artworks and ${this.collections.size} collections`);
@@ -83,14 +121,19 @@ export class Gallery {
             // Reset any cached image states
             this.resetImageStates();
             
-            // Ensure we have valid collections before rendering
-            if (this.collections && this.collections.size > 0) {
-                console.log('📚 Rendering collections view');
-                this.renderCollections();
-            } else {
-                console.log('🖼️ No collections found, rendering individual artworks');
-                this.render();
-            }
+            // Restore a shared search, filtered view or collection from the URL
+            const params = new URLSearchParams(window.location.search);
+            this.searchQuery = (params.get('q') || '').trim();
+            this.filters = parseFilters(params);
+            this.activeCollectionId = this.getLinkedCollectionId();
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) searchInput.value = this.searchQuery;
+            
+            await this.initializeFilters();
+            this.initializeCollectionTabs();
+            
+            console.log(this.activeCollectionId ? `📁 Rendering collection ${this.activeCollectionId}` : '📚 Rendering collections view');
+            await this.refresh();
             
             console.log('✅ Gallery initialization complete');
         } catch (error) {
@@ -166,7 +209,7 @@ export class Gallery {
     /**
      * Render collections as Netflix-style rows
      */
-    renderCollections() {
+    renderCollections(collections = this.collections) {
         if (!this.container) {
             console.error('Gallery container not found');
             return;
@@ -183,13 +226,22 @@ export class Gallery {
         // Clear existing content
         this.container.innerHTML = '';
 
-        if (!this.collections || this.collections.size === 0) {
+        // Only artworks matching the search and filters are shown
+        if (this.visibleArtworkIds) {
+            collections = this.filterVisibleArtworks(collections);
+            if (collections.size === 0) {
+                this.renderNoResults();
+                return;
+            }
+        }
+
+        if (!collections || collections.size === 0) {
             console.log('⚠️ No collections found, falling back to individual artwork view');
             this.render();
             return;
         }
 
-        console.log(`📚 Rendering ${this.collections.size} collections`);
+        console.log(`📚 Rendering ${collections.size} collections`);
 
         // Create collections container
         const collectionsContainer = document.createElement('div');
@@ -198,7 +250,7 @@ export class Gallery {
         let renderedCollections = 0;
 
         // Render each collection as a row
-        this.collections.forEach((collection, id) => {
+        collections.forEach((collection, id) => {
             if (collection.artworks && collection.artworks.length > 0) {
                 console.log(`  📁 Rendering collection "${collection.name}" with ${collection.artworks.length} artworks`);
                 console.log(`  🎨 Collection artworks:`, collection.artworks.map(a => ({id: a.id, title: a.title, imageUrl: a.imageUrl})));
@@ -207,6 +259,11 @@ export class Gallery {
                 collectionsContainer.appendChild(collectionRow);
                 renderedCollections++;
                 
+                // Rows start with the index's first artworks; the rest load when the row comes into view
+                if (!collection.loaded) {
+                    this.observeCollectionRow(collectionRow);
+                }
+                
                 // Log collection row dimensions after creation
                 setTimeout(() => {
                     console.log(`📏 Collection row "${collection.name}" dimensions:`, {
@@ -228,6 +285,10 @@ export class Gallery {
             return;
         }
 
+        if (this.visibleArtworkIds) {
+            const shownCount = [...collections.values()].reduce((count, collection) => count + collection.artworks.length, 0);
+            this.container.appendChild(this.createResultsSummary(shownCount));
+        }
         this.container.appendChild(collectionsContainer);
         console.log(`✅ Successfully rendered ${renderedCollections} collections`);
         
@@ -262,8 +323,15 @@ export class Gallery {
         // Clear existing content
         this.container.innerHTML = '';
 
-        // Find the collection by ID
-        const collection = this.collections.get(collectionId);
+        // Find the collection by ID, with only the artworks matching the search and filters
+        let collection = this.collections.get(collectionId);
+        if (collection && this.visibleArtworkIds) {
+            collection = this.filterVisibleArtworks(new Map([[collectionId, collection]])).get(collectionId);
+            if (!collection) {
+                this.renderNoResults();
+                return;
+            }
+        }
         
         if (!collection || !collection.artworks || collection.artworks.length === 0) {
             this.renderEmptyState();
@@ -304,6 +372,10 @@ export class Gallery {
 
         singleCollectionContainer.appendChild(header);
 
+        if (this.visibleArtworkIds) {
+            singleCollectionContainer.appendChild(this.createResultsSummary(collection.artworks.length));
+        }
+
         // Create grid layout for single collection
         const artworksGrid = document.createElement('div');
         artworksGrid.className = 'single-collection-grid';
@@ -326,10 +398,14 @@ export class Gallery {
         artworkElement.className = 'single-collection-artwork';
         artworkElement.dataset.artworkId = artwork.id;
 
+        if (artwork.missingImage) {
+            return this.createPlaceholderArtwork(artworkElement, artwork);
+        }
+
         // Image
         const image = document.createElement('img');
         image.src = artwork.imageUrl;
-        image.alt = artwork.title || 'Artwork';
+        image.alt = artwork.alt || artwork.title || 'Artwork';
         image.loading = 'lazy';
         
         // Aggressive reset - ensure completely clean state
@@ -364,7 +440,7 @@ export class Gallery {
         if (artwork.title) {
             const title = document.createElement('h4');
             title.className = 'single-collection-artwork-title';
-            title.textContent = artwork.title;
+            this.setHighlightedText(title, artwork.title);
             overlay.appendChild(title);
         }
 
@@ -372,7 +448,7 @@ export class Gallery {
         if (artwork.medium) {
             const medium = document.createElement('p');
             medium.className = 'single-collection-artwork-medium';
-            medium.textContent = artwork.medium;
+            this.setHighlightedText(medium, artwork.medium);
             overlay.appendChild(medium);
         }
 
@@ -380,7 +456,7 @@ export class Gallery {
         if (artwork.dimensions) {
             const dimensions = document.createElement('p');
             dimensions.className = 'single-collection-artwork-dimensions';
-            dimensions.textContent = this.formatDimensions(artwork.dimensions);
+            dimensions.textContent = this.formatArtworkDimensions(artwork);
             overlay.appendChild(dimensions);
         }
 
@@ -396,7 +472,7 @@ export class Gallery {
         if (artwork.price) {
             const price = document.createElement('p');
             price.className = 'single-collection-artwork-price';
-            price.textContent = artwork.price;
+            price.textContent = this.formatArtworkPrice(artwork);
             overlay.appendChild(price);
         }
 
@@ -527,6 +603,49 @@ export class Gallery {
         return row;
     }
 
+    /**
+     * Load the rest of a collection once its row scrolls into view
+     */
+    observeCollectionRow(row) {
+        if (!('IntersectionObserver' in window)) {
+            this.loadCollectionRow(row);
+            return;
+        }
+        
+        if (!this.collectionRowObserver) {
+            // Start loading a little before the row is on screen
+            this.collectionRowObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.collectionRowObserver.unobserve(entry.target);
+                        this.loadCollectionRow(entry.target);
+                    }
+                });
+            }, { rootMargin: '200px 0px' });
+        }
+        this.collectionRowObserver.observe(row);
+    }
+
+    /**
+     * Fetch a collection's shard and replace its row with the complete one
+     */
+    async loadCollectionRow(row) {
+        const collectionId = row.dataset.collectionId;
+        try {
+            const collection = await this.metadata.loadCollection(collectionId);
+            // The gallery may have been re-rendered while the shard was loading
+            if (!collection || !row.isConnected) return;
+            
+            console.log(`🧩 Collection "${collection.name}" loaded with ${collection.artworks.length} artworks`);
+            this.collections.set(collectionId, collection);
+            this.currentArtworks = this.metadata.getArtworks();
+            row.replaceWith(this.createCollectionRow(collection));
+        } catch (error) {
+            // Keep showing the first artworks rather than an empty row
+            console.error(`❌ Error loading collection ${collectionId}:`, error);
+        }
+    }
+
     /**
      * Create an artwork element for collection display
      */
@@ -535,13 +654,17 @@ export class Gallery {
         artworkElement.className = 'collection-artwork';
         artworkElement.dataset.artworkId = artwork.id;
 
+        if (artwork.missingImage) {
+            return this.createPlaceholderArtwork(artworkElement, artwork);
+        }
+
         // Image - Start with thumbnail for fast loading
         const image = document.createElement('img');
         const thumbnailUrl = this.getThumbnailUrl(artwork.imageUrl);
         
         // Use thumbnail for initial fast display
         image.src = thumbnailUrl;
-        image.alt = artwork.title || 'Artwork';
+        image.alt = artwork.alt || artwork.title || 'Artwork';
         image.loading = 'lazy';
         
         // Store original URL for later loading
@@ -609,7 +732,7 @@ export class Gallery {
         if (artwork.title) {
             const title = document.createElement('h4');
             title.className = 'collection-artwork-title';
-            title.textContent = artwork.title;
+            this.setHighlightedText(title, artwork.title);
             overlay.appendChild(title);
         }
 
@@ -649,7 +772,7 @@ export class Gallery {
 
             const price = document.createElement('span');
             price.className = 'collection-artwork-price';
-            price.textContent = artwork.price;
+            price.textContent = this.formatArtworkPrice(artwork);
             pricing.appendChild(price);
 
             // Availability status
@@ -680,10 +803,18 @@ export class Gallery {
         artworkElement.className = 'collection-artwork';
         artworkElement.dataset.artworkId = artwork.id;
 
+        if (artwork.missingImage) {
+            return {
+                element: this.createPlaceholderArtwork(artworkElement, artwork),
+                // Same fallback dimensions as a broken image
+                promise: Promise.resolve({ width: 300, height: 200, aspectRatio: 1.5, element: artworkElement })
+            };
+        }
+
         // Image
         const image = document.createElement('img');
         image.src = artwork.imageUrl;
-        image.alt = artwork.title || 'Artwork';
+        image.alt = artwork.alt || artwork.title || 'Artwork';
         image.loading = 'lazy';
         
         // Ensure clean initial state - reset any cached transforms
@@ -729,7 +860,7 @@ export class Gallery {
         if (artwork.title) {
             const title = document.createElement('h4');
             title.className = 'collection-artwork-title';
-            title.textContent = artwork.title;
+            this.setHighlightedText(title, artwork.title);
             overlay.appendChild(title);
         }
 
@@ -760,7 +891,7 @@ export class Gallery {
             dimensionsItem.className = 'collection-artwork-meta-item';
             dimensionsItem.innerHTML = `
                 <span class="collection-artwork-meta-label">DIMENSIONS</span>
-                <span class="collection-artwork-meta-value">${this.formatDimensions(artwork.dimensions)}</span>
+                <span class="collection-artwork-meta-value">${this.formatArtworkDimensions(artwork)}</span>
             `;
             metadata.appendChild(dimensionsItem);
         }
@@ -796,7 +927,7 @@ export class Gallery {
 
             const price = document.createElement('span');
             price.className = 'collection-artwork-price';
-            price.textContent = artwork.price;
+            price.textContent = this.formatArtworkPrice(artwork);
             pricing.appendChild(price);
 
             // Availability status
@@ -821,6 +952,36 @@ export class Gallery {
         return { element: artworkElement, promise: imageLoadPromise };
     }
 
+    /**
+     * Fill an artwork element with a placeholder card when the build
+     * found no image file for it (artwork.missingImage)
+     */
+    createPlaceholderArtwork(artworkElement, artwork) {
+        artworkElement.classList.add('missing-image');
+
+        const placeholder = document.createElement('div');
+        placeholder.className = 'artwork-image-placeholder';
+        placeholder.setAttribute('role', 'img');
+        placeholder.setAttribute('aria-label', `${artwork.title || 'Artwork'} (image not available)`);
+
+        const title = document.createElement('span');
+        title.className = 'artwork-image-placeholder-title';
+        this.setHighlightedText(title, artwork.title || 'Untitled');
+        placeholder.appendChild(title);
+
+        const note = document.createElement('span');
+        note.className = 'artwork-image-placeholder-note';
+        note.textContent = 'Image coming soon';
+        placeholder.appendChild(note);
+
+        artworkElement.appendChild(placeholder);
+
+        // Click and touch handlers for artwork details
+        this.addArtworkInteraction(artworkElement, artwork);
+
+        return artworkElement;
+    }
+
     /**
      * Set collection row height based on loaded image dimensions
      */
@@ -870,27 +1031,15 @@ export class Gallery {
      * Set artwork dimensions based on metadata
      */
     setArtworkDimensions(element, dimensions, maxHeight) {
-        try {
-            // Parse dimensions (e.g., "71.1*101.6" or "30x24")
-            const dimStr = dimensions.toString().replace(/[^\d.*x]/g, '');
-            const parts = dimStr.split(/[*x]/);
+        const size = this.getDimensionsInCm(dimensions);
+        if (size && size.width && size.height) {
+            const aspectRatio = size.width / size.height;
+            const displayHeight = Math.min(maxHeight, size.height * 2); // Scale up for better visibility
+            const displayWidth = displayHeight * aspectRatio;
             
-            if (parts.length >= 2) {
-                const width = parseFloat(parts[0]);
-                const height = parseFloat(parts[1]);
-                
-                if (width && height) {
-                    const aspectRatio = width / height;
-                    const displayHeight = Math.min(maxHeight, height * 2); // Scale up for better visibility
-                    const displayWidth = displayHeight * aspectRatio;
-                    
-                    element.style.width = `${displayWidth}px`;
-                    element.style.height = `${displayHeight}px`;
-                    return;
-                }
-            }
-        } catch (error) {
-            console.warn('Error parsing dimensions:', dimensions, error);
+            element.style.width = `${displayWidth}px`;
+            element.style.height = `${displayHeight}px`;
+            return;
         }
         
         // Fallback dimensions
@@ -927,22 +1076,11 @@ export class Gallery {
         let maxHeight = 250; // Default height
         
         artworks.forEach(artwork => {
-            if (artwork.dimensions) {
-                try {
-                    const dimStr = artwork.dimensions.toString().replace(/[^\d.*x]/g, '');
-                    const parts = dimStr.split(/[*x]/);
-                    
-                    if (parts.length >= 2) {
-                        const height = parseFloat(parts[1]);
-                        if (height) {
-                            // Scale up for better visibility, but cap at reasonable max
-                            const scaledHeight = Math.min(350, height * 2);
-                            maxHeight = Math.max(maxHeight, scaledHeight);
-                        }
-                    }
-                } catch (error) {
-                    console.warn('Error parsing dimensions for collection height:', artwork.dimensions);
-                }
+            const size = this.getDimensionsInCm(artwork.dimensions);
+            if (size && size.height) {
+                // Scale up for better visibility, but cap at reasonable max
+                const scaledHeight = Math.min(350, size.height * 2);
+                maxHeight = Math.max(maxHeight, scaledHeight);
             }
         });
 
@@ -1047,13 +1185,17 @@ export class Gallery {
         item.className = 'gallery-item';
         item.dataset.artworkId = artwork.id;
 
+        if (artwork.missingImage) {
+            return this.createPlaceholderArtwork(item, artwork);
+        }
+
         // Image container
         const imageContainer = document.createElement('div');
         imageContainer.className = 'image-container';
 
         const image = document.createElement('img');
         image.src = artwork.imageUrl;
-        image.alt = artwork.title || 'Artwork';
+        image.alt = artwork.alt || artwork.title || 'Artwork';
         image.loading = 'lazy';
         
         // Ensure clean initial state - reset any cached transforms
@@ -1079,28 +1221,28 @@ export class Gallery {
         if (artwork.title) {
             const title = document.createElement('h3');
             title.className = 'artwork-title';
-            title.textContent = artwork.title;
+            this.setHighlightedText(title, artwork.title);
             details.appendChild(title);
         }
 
         if (artwork.medium) {
             const medium = document.createElement('p');
             medium.className = 'artwork-medium';
-            medium.textContent = artwork.medium;
+            this.setHighlightedText(medium, artwork.medium);
             details.appendChild(medium);
         }
 
         if (artwork.dimensions) {
             const dimensions = document.createElement('p');
             dimensions.className = 'artwork-dimensions';
-            dimensions.textContent = artwork.dimensions;
+            dimensions.textContent = this.formatArtworkDimensions(artwork);
             details.appendChild(dimensions);
         }
 
         if (artwork.price) {
             const price = document.createElement('p');
             price.className = 'artwork-price';
-            price.textContent = artwork.price;
+            price.textContent = this.formatArtworkPrice(artwork);
             details.appendChild(price);
         }
 
@@ -1125,16 +1267,479 @@ export class Gallery {
     }
 
     /**
-     * Search functionality (simplified - no filtering)
+     * Search artworks, keeping the query in the URL (?q=) so searches can be
+     * shared and survive reloads
      */
     search(query) {
-        if (!query.trim()) {
+        this.searchQuery = query.trim();
+        return this.refresh();
+    }
+
+    /**
+     * Show only artworks with the selected filter values, keeping them in the URL
+     */
+    setFilters(filters) {
+        this.filters = filters;
+        return this.refresh();
+    }
+
+    /**
+     * Work out which artworks match the search and the filters, load their
+     * collections, then re-render the rows (or the selected collection) and
+     * update the filter counts
+     */
+    async refresh() {
+        const refreshId = ++this.refreshCount;
+        this.updateViewUrl();
+        const filtering = this.facets !== null && hasActiveFilters(this.filters);
+        
+        let searchIds = null;
+        if (this.searchQuery) {
+            try {
+                const results = await this.metadata.searchArtworks(this.searchQuery);
+                searchIds = new Set(results.map(artwork => artwork.id));
+            } catch (error) {
+                console.error('❌ Error searching artworks:', error);
+                this.renderError('Search is not available right now.');
+                return;
+            }
+            // A newer search or filter started while this one was loading
+            if (refreshId !== this.refreshCount) return;
+            console.log(`🔎 "${this.searchQuery}" matches ${searchIds.size} artworks`);
+        }
+        
+        // Filter counts are counted among the search results in the shown collections
+        const rows = this.facets
+            ? this.facets.artworks.filter(row =>
+                (!searchIds || searchIds.has(row.id)) &&
+                (!this.activeCollectionId || row.collection === this.activeCollectionId))
+            : [];
+        this.updateFilterCounts(rows);
+        
+        let visibleIds = searchIds;
+        if (filtering) {
+            const filtered = rows.filter(row => matchesFilters(row, this.filters));
+            visibleIds = new Set(filtered.map(row => row.id));
+            try {
+                await this.metadata.loadCollections(filtered.map(row => row.collection));
+            } catch (error) {
+                console.error('❌ Error loading filtered artworks:', error);
+                this.renderError('The filtered artworks could not be loaded.');
+                return;
+            }
+            if (refreshId !== this.refreshCount) return;
+            console.log(`🎛️ Filters match ${visibleIds.size} artworks`);
+        }
+        
+        // A collection shown on its own is shown in full
+        if (this.activeCollectionId) {
+            try {
+                await this.metadata.loadCollection(this.activeCollectionId);
+            } catch (error) {
+                console.error(`❌ Error loading collection ${this.activeCollectionId}:`, error);
+                this.renderError('This collection could not be loaded.');
+                return;
+            }
+            if (refreshId !== this.refreshCount) return;
+        }
+        
+        this.visibleArtworkIds = visibleIds;
+        if (this.activeCollectionId) {
+            this.renderSingleCollection(this.activeCollectionId);
+        } else {
             this.renderCollections();
+        }
+    }
+
+    /**
+     * Copy collections with only the artworks matching the search and filters,
+     * leaving out collections without any
+     */
+    filterVisibleArtworks(collections) {
+        const visible = new Map();
+        collections.forEach((collection, id) => {
+            const artworks = collection.artworks.filter(artwork => this.visibleArtworkIds.has(artwork.id));
+            if (artworks.length > 0) {
+                // Matching artworks were all loaded by refresh()
+                visible.set(id, { ...collection, artworks, loaded: true });
+            }
+        });
+        return visible;
+    }
+
+    /**
+     * Keep the search query, filters and selected collection in the address bar
+     * without adding history entries
+     */
+    updateViewUrl() {
+        const url = new URL(window.location.href);
+        if (this.searchQuery) {
+            url.searchParams.set('q', this.searchQuery);
+        } else {
+            url.searchParams.delete('q');
+        }
+        writeFilters(url.searchParams, this.filters);
+        // ?collection=<ID> is the collection's canonical URL, as listed in the sitemap
+        if (this.activeCollectionId) {
+            url.searchParams.set('collection', this.activeCollectionId);
+        } else {
+            url.searchParams.delete('collection');
+        }
+        // Commas between filter values are left readable in shared links
+        url.search = url.searchParams.toString().replace(/%2C/gi, ',');
+        // Older #collection=<ID> links are replaced by the query parameter
+        if (url.hash.startsWith('#collection=')) {
+            url.hash = '';
+        }
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Clear the search box and show every collection again
+     */
+    clearSearch() {
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = '';
+        this.search('');
+    }
+
+    /**
+     * Describe the current search and filters, e.g. ' matching “oil” and the selected filters'
+     */
+    describeView() {
+        const filtering = this.facets !== null && hasActiveFilters(this.filters);
+        const query = this.searchQuery ? ` “${this.searchQuery}”` : '';
+        if (query && filtering) return `${query} and the selected filters`;
+        return query || (filtering ? ' the selected filters' : '');
+    }
+
+    /**
+     * Create the buttons that clear the search and the filters, when they are in use
+     */
+    createClearButtons() {
+        const buttons = [];
+        if (this.searchQuery) {
+            const clearSearchBtn = document.createElement('button');
+            clearSearchBtn.className = 'search-clear-btn';
+            clearSearchBtn.textContent = 'Clear search';
+            clearSearchBtn.addEventListener('click', () => this.clearSearch());
+            buttons.push(clearSearchBtn);
+        }
+        if (this.facets !== null && hasActiveFilters(this.filters)) {
+            const clearFiltersBtn = document.createElement('button');
+            clearFiltersBtn.className = 'search-clear-btn';
+            clearFiltersBtn.textContent = 'Clear filters';
+            clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+            buttons.push(clearFiltersBtn);
+        }
+        return buttons;
+    }
+
+    /**
+     * Create the result count shown above search and filter results
+     */
+    createResultsSummary(count) {
+        const summary = document.createElement('div');
+        summary.className = 'search-summary';
+        summary.setAttribute('role', 'status');
+        
+        const text = document.createElement('p');
+        text.className = 'search-summary-text';
+        text.textContent = `${count} ${count === 1 ? 'artwork matches' : 'artworks match'}${this.describeView()}`;
+        summary.appendChild(text);
+        
+        const actions = document.createElement('div');
+        actions.className = 'search-summary-actions';
+        actions.append(...this.createClearButtons());
+        summary.appendChild(actions);
+        
+        return summary;
+    }
+
+    /**
+     * Render the state for a search or filters without matches
+     */
+    renderNoResults() {
+        this.container.innerHTML = `
+            <div class="empty-state search-empty-state" role="status">
+                <h3></h3>
+                <p></p>
+                <div class="search-summary-actions"></div>
+            </div>
+        `;
+        this.container.querySelector('.search-empty-state h3').textContent = `No artworks match${this.describeView()}`;
+        this.container.querySelector('.search-empty-state p').textContent = this.searchQuery
+            ? 'Check the spelling, or try a title, medium, tag or collection name.'
+            : 'Try removing some of the filters.';
+        this.container.querySelector('.search-summary-actions').append(...this.createClearButtons());
+    }
+
+    /**
+     * Collection linked from the URL: ?collection=<ID> as listed in the sitemap,
+     * or #collection=<ID> from older links. Returns null for all collections.
+     */
+    getLinkedCollectionId() {
+        const hashMatch = window.location.hash.match(/^#collection=(.+)$/);
+        let linked = new URLSearchParams(window.location.search).get('collection');
+        if (hashMatch) {
+            try {
+                linked = decodeURIComponent(hashMatch[1]);
+            } catch (error) {
+                linked = hashMatch[1];
+            }
+        }
+        
+        if (linked && !this.getTabCollections().has(linked)) {
+            console.log(`⚠️ Linked collection ${linked} not found, showing all collections`);
+            return null;
+        }
+        return linked || null;
+    }
+
+    /**
+     * Collections that get a tab: the built collections (from data/index.json
+     * or portfolio.json) with artworks, not the empty CSV or default ones
+     */
+    getTabCollections() {
+        return new Map([...this.metadata.getAllCollections()].filter(([, collection]) => collection.artworkCount > 0));
+    }
+
+    /**
+     * Fill the collection tabs in #collection-filters: "All collections" and
+     * one tab per collection, switched with the mouse or the arrow keys
+     */
+    initializeCollectionTabs() {
+        const filterContainer = document.getElementById('collection-filters');
+        const tabCollections = this.getTabCollections();
+        if (!filterContainer || tabCollections.size === 0) return;
+        
+        const tablist = document.createElement('div');
+        tablist.className = 'collection-tabs';
+        tablist.setAttribute('role', 'tablist');
+        tablist.setAttribute('aria-label', 'Collections');
+        
+        tablist.appendChild(this.createCollectionTab(null, 'All collections'));
+        tabCollections.forEach((collection, id) => {
+            tablist.appendChild(this.createCollectionTab(id, `${collection.name} (${collection.artworkCount})`));
+        });
+        
+        // Arrow keys, Home and End move between tabs (WAI-ARIA tabs pattern)
+        tablist.addEventListener('keydown', (e) => {
+            const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+            const index = tabs.indexOf(document.activeElement);
+            if (index === -1) return;
+            
+            const targets = {
+                ArrowRight: (index + 1) % tabs.length,
+                ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+                Home: 0,
+                End: tabs.length - 1
+            };
+            if (!(e.key in targets)) return;
+            
+            e.preventDefault();
+            tabs[targets[e.key]].focus();
+            tabs[targets[e.key]].click();
+        });
+        
+        filterContainer.prepend(tablist);
+        this.container.setAttribute('role', 'tabpanel');
+        this.updateCollectionTabs();
+        
+        // Older #collection=<ID> links followed within the page
+        window.addEventListener('hashchange', () => {
+            if (!window.location.hash.startsWith('#collection=')) return;
+            
+            const collectionId = this.getLinkedCollectionId();
+            if (collectionId !== this.activeCollectionId) {
+                this.selectCollection(collectionId);
+            }
+        });
+    }
+
+    /**
+     * Create one collection tab; collectionId is null for "All collections"
+     */
+    createCollectionTab(collectionId, label) {
+        const tab = document.createElement('button');
+        tab.className = 'filter-btn collection-tab';
+        tab.id = `collection-tab-${collectionId || 'all'}`;
+        tab.dataset.collectionId = collectionId || '';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', this.container.id);
+        tab.textContent = label;
+        tab.addEventListener('click', () => this.selectCollection(collectionId));
+        return tab;
+    }
+
+    /**
+     * Mark the active collection's tab as selected, and the only one reachable with Tab
+     */
+    updateCollectionTabs() {
+        const activeId = this.activeCollectionId || '';
+        document.querySelectorAll('#collection-filters .collection-tab').forEach(tab => {
+            const selected = tab.dataset.collectionId === activeId;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            if (selected) this.container.setAttribute('aria-labelledby', tab.id);
+        });
+    }
+
+    /**
+     * Show one collection on its own, or all collection rows for null
+     */
+    selectCollection(collectionId) {
+        this.activeCollectionId = collectionId && this.getTabCollections().has(collectionId) ? collectionId : null;
+        this.updateCollectionTabs();
+        return this.refresh();
+    }
+
+    /**
+     * Build the filter panel in #collection-filters from data/facets.json
+     */
+    async initializeFilters() {
+        const filterContainer = document.getElementById('collection-filters');
+        if (!filterContainer) return;
+        
+        try {
+            this.facets = await this.metadata.loadFacets();
+        } catch (error) {
+            // The gallery works without filters
+            console.error('❌ Error loading filters:', error);
+            return;
+        }
+        
+        filterContainer.appendChild(this.createFilterPanel());
+        
+        // Close an open filter when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            filterContainer.querySelectorAll('.facet[open]').forEach(facet => {
+                if (!facet.contains(e.target)) facet.open = false;
+            });
+        });
+    }
+
+    /**
+     * Create the filter panel: a dropdown of checkboxes per facet with counts
+     */
+    createFilterPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'facet-panel';
+        
+        this.facets.facets.forEach(facet => {
+            if (facet.values.length === 0) return;
+            
+            const group = document.createElement('details');
+            group.className = 'facet';
+            group.dataset.facet = facet.key;
+            
+            const summary = document.createElement('summary');
+            summary.className = 'facet-summary';
+            summary.textContent = facet.label;
+            const selectedCount = document.createElement('span');
+            selectedCount.className = 'facet-selected-count';
+            summary.appendChild(selectedCount);
+            group.appendChild(summary);
+            
+            const options = document.createElement('div');
+            options.className = 'facet-options';
+            facet.values.forEach(({ value, label }) => {
+                const option = document.createElement('label');
+                option.className = 'facet-option';
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = value;
+                checkbox.addEventListener('change', () => this.toggleFilter(facet.key, value, checkbox.checked));
+                
+                const text = document.createElement('span');
+                text.className = 'facet-option-label';
+                text.textContent = label;
+                
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                
+                option.append(checkbox, text, count);
+                options.appendChild(option);
+            });
+            group.appendChild(options);
+            panel.appendChild(group);
+        });
+        
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'facet-clear-btn';
+        clearBtn.textContent = 'Clear filters';
+        clearBtn.addEventListener('click', () => this.clearFilters());
+        panel.appendChild(clearBtn);
+        
+        return panel;
+    }
+
+    /**
+     * Show how many artworks each filter value would give, and which values are selected
+     */
+    updateFilterCounts(rows) {
+        const panel = document.querySelector('#collection-filters .facet-panel');
+        if (!panel) return;
+        
+        const counts = countFacetValues(rows, this.filters);
+        panel.querySelectorAll('.facet').forEach(group => {
+            const key = group.dataset.facet;
+            const selected = this.filters[key];
+            
+            group.querySelectorAll('.facet-option input').forEach(checkbox => {
+                const count = counts[key].get(checkbox.value) || 0;
+                checkbox.checked = selected.includes(checkbox.value);
+                // Values that would give no artworks can still be unticked
+                checkbox.disabled = count === 0 && !checkbox.checked;
+                checkbox.parentElement.classList.toggle('empty', checkbox.disabled);
+                checkbox.parentElement.querySelector('.facet-count').textContent = count;
+            });
+            
+            group.classList.toggle('active', selected.length > 0);
+            group.querySelector('.facet-selected-count').textContent = selected.length > 0 ? ` (${selected.length})` : '';
+        });
+        panel.querySelector('.facet-clear-btn').hidden = !hasActiveFilters(this.filters);
+    }
+
+    /**
+     * Select or unselect one filter value
+     */
+    toggleFilter(key, value, selected) {
+        const values = this.filters[key].filter(item => item !== value);
+        if (selected) values.push(value);
+        this.setFilters({ ...this.filters, [key]: values });
+    }
+
+    /**
+     * Unselect every filter value
+     */
+    clearFilters() {
+        this.setFilters(parseFilters(new URLSearchParams()));
+    }
+
+    /**
+     * Set an element's text, marking the parts that match the current search
+     */
+    setHighlightedText(element, text) {
+        const ranges = this.searchQuery ? findMatches(text, this.searchQuery) : [];
+        if (ranges.length === 0) {
+            element.textContent = text;
             return;
         }
-        // For now, just re-render collections on search
-        // TODO: Implement search within collections
-        this.renderCollections();
+        
+        element.textContent = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            element.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            position = end;
+        });
+        element.appendChild(document.createTextNode(text.slice(position)));
     }
 
     /**
@@ -1144,9 +1749,7 @@ export class Gallery {
         // For now, we'll open a modal or navigate to detail page
         // This could be enhanced to use a router for SPA behavior
         
-        const url = new URL(window.location);
-        url.pathname = '/artwork.html';
-        url.searchParams.set('id', artwork.id);
+        const url = new URL(`./artwork/${encodeURIComponent(artwork.id)}/`, window.location);
         
         // Open in new tab or same window based on preference
         window.open(url.toString(), '_blank');
@@ -1200,14 +1803,14 @@ export class Gallery {
         const info = this.lightbox.querySelector('.lightbox-info');
         
         image.src = artwork.imageUrl;
-        image.alt = artwork.title || 'Artwork';
+        image.alt = artwork.alt || artwork.title || 'Artwork';
         title.textContent = artwork.title || 'Untitled';
         
         const infoText = [
             artwork.medium,
-            artwork.dimensions,
+            this.formatArtworkDimensions(artwork),
             artwork.year,
-            artwork.price
+            this.formatArtworkPrice(artwork)
         ].filter(Boolean).join(' • ');
         
         info.textContent = infoText;
@@ -1238,6 +1841,19 @@ export class Gallery {
                     this.search(e.target.value);
                 }, 300);
             });
+            
+            // Enter searches right away
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    clearTimeout(searchTimeout);
+                    this.search(e.target.value);
+                }
+            });
+        }
+        
+        const searchBtn = document.querySelector('.search-btn');
+        if (searchBtn && searchInput) {
+            searchBtn.addEventListener('click', () => this.search(searchInput.value));
         }
 
         // Responsive grid adjustments
@@ -1274,45 +1890,16 @@ export class Gallery {
     }
 
     /**
-     * Render error state
+     * Render error state, with the reason when it is known
      */
-    renderError() {
+    renderError(message = 'Please check the console for more details.') {
         this.container.innerHTML = `
             <div class="error-state">
                 <h3>Error loading gallery</h3>
-                <p>Please check the console for more details.</p>
+                <p></p>
             </div>
         `;
-    }
-
-    /**
-     * Format dimensions with proper units
-     */
-    formatDimensions(dimensions) {
-        if (!dimensions) return '';
-        
-        // Handle different dimension formats
-        // e.g., "71.1*101.6", "30x24", "30 x 24 x 2 in", "76.2*50.8 cm"
-        let formattedDims = dimensions.toString();
-        
-        // Replace * with ×
-        formattedDims = formattedDims.replace(/\*/g, ' × ');
-        
-        // Add proper spacing around x
-        formattedDims = formattedDims.replace(/\s*x\s*/gi, ' × ');
-        
-        // If no units are specified, assume cm for metric values
-        if (!/\b(in|inch|inches|cm|mm|ft|feet)\b/i.test(formattedDims)) {
-            // Check if dimensions look metric (decimals) or imperial (whole numbers)
-            const hasDecimals = /\d+\.\d+/.test(formattedDims);
-            if (hasDecimals) {
-                formattedDims += ' cm';
-            } else {
-                formattedDims += ' in';
-            }
-        }
-        
-        return formattedDims;
+        this.container.querySelector('.error-state p').textContent = message;
     }
 
     /**
@@ -1320,7 +1907,7 @@ export class Gallery {
      */
     openArtworkDetail(artwork) {
         // Navigate to the artwork detail page
-        const detailUrl = `artwork.html?id=${encodeURIComponent(artwork.id)}`;
+        const detailUrl = `./artwork/${encodeURIComponent(artwork.id)}/`;
         window.location.href = detailUrl;
     }
 
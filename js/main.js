@@ -352,11 +352,10 @@ function showErrorState() {
  * Handle responsive navigation
  */
 function setupResponsiveNav() {
-    const nav = document.querySelector('.nav');
     const searchContainer = document.querySelector('.search-container');
     
-    // Toggle search visibility on mobile
-    if (window.innerWidth <= 768) {
+    // Toggle search visibility on mobile, unless a search from the URL is showing
+    if (searchContainer && window.innerWidth <= 768 && !new URLSearchParams(window.location.search).get('q')) {
         searchContainer.classList.add('mobile-hidden');
         
         // Add search toggle button
@@ -372,7 +371,7 @@ function setupResponsiveNav() {
             searchContainer.classList.toggle('mobile-hidden');
         });
         
-        nav.insertBefore(searchToggle, searchContainer);
+        searchContainer.parentNode.insertBefore(searchToggle, searchContainer);
     }
 }
 
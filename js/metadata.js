@@ -3,12 +3,27 @@
  * Handles loading and processing of artwork metadata from JSON files and CSV configurations
  */
 
+import { parseCSV } from './csv.js';
+import { buildSearchIndex, searchIndex } from './search.js';
+import { buildFacets } from './facets.js';
+import { shuffleArray, getVisitSeed } from './shuffle.js';
+import { describeSchemaMismatch } from './portfolio-schema.js';
+
 export class MetadataProcessor {
     constructor() {
         this.artworks = [];
         this.collections = new Map();
         this.csvConfig = null;
         this.collectionsConfig = null;
+        this.locale = undefined; // Site locale for prices, from portfolio.json meta
+        this.displayUnit = undefined; // Default dimension unit (cm or in), from portfolio.json meta
+        this.facetOptions = {}; // Site currency and price ranges, from portfolio.json meta, for computing filters here
+        this.loadError = null; // Why portfolio.json could not be read, shown instead of the gallery
+        this.order = null; // Ordering settings from portfolio.json meta, for visit shuffles of loaded shards
+        this.artworkCollections = new Map(); // Artwork ID -> collection ID, from data/index.json
+        this.shardRequests = new Map(); // Collection ID -> promise of its loaded collection
+        this.searchIndexRequest = null; // Promise of data/search-index.json, loaded on the first search
+        this.facetsRequest = null; // Promise of data/facets.json, the filter values of every artwork
     }
 
     /**
@@ -19,8 +34,7 @@ export class MetadataProcessor {
             console.log('🎨 Initializing metadata processor...');
             await this.loadCSVConfig();
             await this.loadCollectionsConfig(); // This loads fallback collections if needed
-            await this.loadArtworkMetadata(); // This now loads collections with nested artworks
-            // No need to call processCollections as data is already structured
+            await this.loadPortfolioIndex(); // Collection summaries; artworks are loaded per collection
             console.log(`✅ Metadata processor initialized with ${this.artworks.length} artworks and ${this.collections.size} collections`);
             return { artworks: this.artworks, collections: this.collections };
         } catch (error) {
@@ -38,7 +52,7 @@ export class MetadataProcessor {
             let response = await fetch('./config/artwork-inventory.csv');
             if (response.ok) {
                 const csvText = await response.text();
-                this.csvConfig = this.parseCSV(csvText);
+                this.csvConfig = parseCSV(csvText);
                 return;
             }
             
@@ -46,7 +60,7 @@ export class MetadataProcessor {
             response = await fetch('./config/collections.csv');
             if (response.ok) {
                 const csvText = await response.text();
-                this.csvConfig = this.parseCSV(csvText);
+                this.csvConfig = parseCSV(csvText);
             }
         } catch (error) {
             console.log('No CSV configuration found, using default order');
@@ -62,7 +76,7 @@ export class MetadataProcessor {
             const response = await fetch('./config/collections.csv');
             if (response.ok) {
                 const csvText = await response.text();
-                this.collectionsConfig = this.parseCSV(csvText);
+                this.collectionsConfig = parseCSV(csvText);
                 console.log(`✅ Loaded ${this.collectionsConfig.length} collections from CSV`);
                 
                 // Process the new CSV structure: Title, ID, Description, Notes
@@ -106,172 +120,231 @@ export class MetadataProcessor {
     }
 
     /**
-     * Load artwork metadata from portfolio.json
+     * Reshuffle randomly ordered collections once per visit,
+     * when the build enabled shuffleOnVisit
      */
-    async loadArtworkMetadata() {
-        try {
-            console.log('🖼️ Loading artwork metadata...');
-            const response = await fetch('./data/portfolio.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load portfolio data: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            // Handle the new nested structure where collections contain artworks
-            if (data.collections) {
-                console.log('📁 Loading collections with nested artworks...');
-                
-                // Extract collections and their artworks
-                Object.values(data.collections).forEach(collection => {
-                    if (collection.artworks && collection.artworks.length > 0) {
-                        // Store collection metadata
-                        this.collections.set(collection.id, {
-                            id: collection.id,
-                            name: collection.name,
-                            description: collection.description || '',
-                            notes: collection.notes || '',
-                            artworks: collection.artworks
-                        });
-                        
-                        // Also add artworks to the main artworks array for backward compatibility
-                        this.artworks.push(...collection.artworks);
-                        
-                        console.log(`📚 Loaded collection "${collection.name}" with ${collection.artworks.length} artworks`);
-                    }
-                });
-                
-                console.log(`✅ Loaded ${this.artworks.length} total artworks from ${this.collections.size} collections`);
-            } else {
-                // Fallback for old structure
-                this.artworks = data.artworks || data;
-                
-                // Ensure each artwork has required properties
-                this.artworks = this.artworks.map(artwork => ({
-                    id: artwork.id,
-                    title: artwork.title || 'Untitled',
-                    collection: artwork.collection || 'uncategorized',
-                    imageUrl: artwork.imageUrl || `./artworks/${artwork.filename || artwork.id}.jpg`,
-                    description: artwork.description || '',
-                    dimensions: artwork.dimensions || '',
-                    medium: artwork.medium || '',
-                    pricing: artwork.pricing || '',
-                    notes: artwork.notes || '',
-                    featured: artwork.featured || false,
-                    available: artwork.available !== false,
-                    tags: artwork.tags || [],
-                    filename: artwork.filename || `${artwork.id}.jpg`,
-                    price: artwork.price || artwork.pricing || '',
-                    size: artwork.size || ''
-                }));
-                
-                console.log(`✅ Loaded ${this.artworks.length} artworks from legacy structure`);
-            }
-            
-        } catch (error) {
-            console.error('❌ Error loading artwork metadata:', error);
-            this.artworks = [];
+    applyVisitShuffle(order) {
+        if (!order || !order.shuffleOnVisit) return;
+        
+        if (order.collections === 'random') {
+            this.collections = new Map(shuffleArray([...this.collections.entries()], `${getVisitSeed()}:collections`));
         }
+        this.collections.forEach(collection => {
+            if (collection.loaded) this.shuffleCollectionArtworks(collection);
+        });
     }
 
     /**
-     * Parse CSV text into array of objects
+     * Reshuffle a randomly ordered collection's artworks once per visit,
+     * when the build enabled shuffleOnVisit
      */
-    parseCSV(csvText) {
-        const lines = [];
-        let currentLine = '';
-        let inQuotes = false;
-        let i = 0;
+    shuffleCollectionArtworks(collection) {
+        const order = this.order;
+        if (!order || !order.shuffleOnVisit) return;
         
-        while (i < csvText.length) {
-            const char = csvText[i];
-            const nextChar = csvText[i + 1];
-            
-            if (char === '"' && !inQuotes) {
-                inQuotes = true;
-            } else if (char === '"' && inQuotes) {
-                if (nextChar === '"') {
-                    currentLine += '"';
-                    i++; // Skip the next quote
-                } else {
-                    inQuotes = false;
-                }
-            } else if (char === '\n' && !inQuotes) {
-                if (currentLine.trim()) {
-                    lines.push(currentLine.trim());
-                }
-                currentLine = '';
-            } else if (char === '\r' && nextChar === '\n' && !inQuotes) {
-                if (currentLine.trim()) {
-                    lines.push(currentLine.trim());
-                }
-                currentLine = '';
-                i++; // Skip the \n
-            } else {
-                currentLine += char;
-            }
-            i++;
+        // Collections built before per-collection SortBy follow artworkOrder
+        const random = collection.sortBy ? collection.sortBy === 'random' : order.artworks === 'random';
+        if (random) {
+            collection.artworks = shuffleArray(collection.artworks, `${getVisitSeed()}:${collection.id}`);
         }
-        
-        // Add the last line if it exists
-        if (currentLine.trim()) {
-            lines.push(currentLine.trim());
+    }
+
+    /**
+     * Rebuild the flat artworks list from the collections, in display order
+     */
+    updateArtworks() {
+        this.artworks = [...this.collections.values()].flatMap(collection => collection.artworks);
+    }
+
+    /**
+     * Fetch a JSON data file, refusing data this version of the site doesn't understand.
+     * With optional, resolves to null when the file doesn't exist.
+     */
+    async fetchPortfolioFile(url, { optional = false } = {}) {
+        const response = await fetch(url);
+        if (optional && response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
         }
         
-        if (lines.length === 0) return [];
-        
-        const headers = this.parseCSVLine(lines[0]);
-        const result = [];
+        const data = await response.json();
         
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            const row = {};
+        // Refuse data this version of the site doesn't understand, rather than guessing its shape
+        const mismatch = describeSchemaMismatch(data);
+        if (mismatch) {
+            throw new Error(mismatch);
+        }
+        return data;
+    }
+
+    /**
+     * Load data/index.json: collection summaries with their first row of artworks.
+     * The rest of each collection is loaded with loadCollection() when needed.
+     * Falls back to the whole portfolio.json when the index hasn't been built.
+     */
+    async loadPortfolioIndex() {
+        try {
+            console.log('🗂️ Loading portfolio index...');
+            const data = await this.fetchPortfolioFile('./data/index.json', { optional: true });
+            if (!data) {
+                console.log('⚠️ data/index.json not found, loading the whole portfolio.json');
+                await this.loadArtworkMetadata();
+                return;
+            }
+            
+            this.locale = data.meta.locale;
+            this.displayUnit = data.meta.displayUnit;
+            this.facetOptions = { currency: data.meta.currency, priceRanges: data.meta.priceRanges };
+            this.order = data.meta.order;
+            this.artworkCollections = new Map(Object.entries(data.artworks));
             
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
+            // Only built collections have shards; the CSV or default collections are replaced
+            this.collections = new Map();
+            Object.values(data.collections).forEach(collection => {
+                if (collection.artworkCount > 0) {
+                    this.collections.set(collection.id, {
+                        id: collection.id,
+                        name: collection.name,
+                        description: collection.description || '',
+                        notes: collection.notes || '',
+                        sortBy: collection.sortBy,
+                        artworkCount: collection.artworkCount,
+                        shard: collection.shard,
+                        loaded: collection.preview.length === collection.artworkCount,
+                        artworks: collection.preview
+                    });
+                }
             });
             
-            result.push(row);
+            this.applyVisitShuffle(this.order);
+            this.updateArtworks();
+            
+            console.log(`✅ Loaded index of ${this.artworkCollections.size} artworks in ${this.collections.size} collections`);
+            
+        } catch (error) {
+            console.error('❌ Error loading portfolio index:', error);
+            this.loadError = error.message;
+            this.artworks = [];
         }
-        
-        return result;
     }
 
     /**
-     * Parse a single CSV line, handling quoted fields
+     * Load all artworks of a collection from its shard. Each shard is fetched
+     * once; later calls return the same promise. Resolves to the collection,
+     * or null for unknown collections. Collections without a shard have
+     * nothing more to load.
      */
-    parseCSVLine(line) {
-        const fields = [];
-        let currentField = '';
-        let inQuotes = false;
-        let i = 0;
+    loadCollection(collectionId) {
+        const collection = this.collections.get(collectionId);
+        if (!collection) return Promise.resolve(null);
+        if (collection.loaded || !collection.shard) return Promise.resolve(collection);
         
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
+        if (!this.shardRequests.has(collectionId)) {
+            console.log(`🧩 Loading collection shard ${collection.shard}`);
+            const request = this.fetchPortfolioFile(`./data/${collection.shard}`)
+                .then(data => {
+                    collection.artworks = data.collection.artworks;
+                    collection.loaded = true;
+                    this.shuffleCollectionArtworks(collection);
+                    this.updateArtworks();
+                    return collection;
+                })
+                .catch(error => {
+                    // Forget the failed request so the next call retries it
+                    this.shardRequests.delete(collectionId);
+                    throw error;
+                });
+            this.shardRequests.set(collectionId, request);
+        }
+        return this.shardRequests.get(collectionId);
+    }
+
+    /**
+     * Load the shards of several collections
+     */
+    async loadCollections(collectionIds) {
+        await Promise.all([...new Set(collectionIds)].map(id => this.loadCollection(id)));
+    }
+
+    /**
+     * Load every collection's shard, e.g. before searching all artworks
+     */
+    async loadAllCollections() {
+        await this.loadCollections(this.collections.keys());
+        return this.artworks;
+    }
+
+    /**
+     * Load every collection's shard that can be loaded, for indexing in the browser.
+     * Resolves to the number of collections that failed to load.
+     */
+    async loadAvailableCollections() {
+        const results = await Promise.allSettled([...this.collections.keys()].map(id => this.loadCollection(id)));
+        const failed = results.filter(result => result.status === 'rejected');
+        failed.forEach(result => console.error('❌ Error loading collection shard:', result.reason));
+        return failed.length;
+    }
+
+    /**
+     * Load an artwork with all its fields, fetching only its collection's shard.
+     * Resolves to undefined for unknown artworks.
+     */
+    async loadArtwork(id) {
+        const collectionId = this.artworkCollections.get(id);
+        if (collectionId) {
+            await this.loadCollection(collectionId);
+        }
+        return this.getArtworkById(id);
+    }
+
+    /**
+     * Load all artwork metadata from portfolio.json at once
+     */
+    async loadArtworkMetadata() {
+        try {
+            console.log('🖼️ Loading artwork metadata...');
+            const data = await this.fetchPortfolioFile('./data/portfolio.json');
+            
+            this.locale = data.meta.locale;
+            this.displayUnit = data.meta.displayUnit;
+            this.facetOptions = { currency: data.meta.currency, priceRanges: data.meta.priceRanges };
+            this.order = data.meta.order;
             
-            if (char === '"' && !inQuotes) {
-                inQuotes = true;
-            } else if (char === '"' && inQuotes) {
-                if (nextChar === '"') {
-                    currentField += '"';
-                    i++; // Skip the next quote
-                } else {
-                    inQuotes = false;
+            console.log('📁 Loading collections with nested artworks...');
+            
+            // Extract collections and their artworks, replacing the CSV or default collections
+            this.collections = new Map();
+            Object.values(data.collections).forEach(collection => {
+                if (collection.artworks.length > 0) {
+                    // Store collection metadata
+                    this.collections.set(collection.id, {
+                        id: collection.id,
+                        name: collection.name,
+                        description: collection.description || '',
+                        notes: collection.notes || '',
+                        sortBy: collection.sortBy,
+                        artworkCount: collection.artworks.length,
+                        loaded: true,
+                        artworks: collection.artworks
+                    });
+                    collection.artworks.forEach(artwork => this.artworkCollections.set(artwork.id, collection.id));
+                    
+                    console.log(`📚 Loaded collection "${collection.name}" with ${collection.artworks.length} artworks`);
                 }
-            } else if (char === ',' && !inQuotes) {
-                fields.push(currentField);
-                currentField = '';
-            } else {
-                currentField += char;
-            }
-            i++;
+            });
+            
+            this.applyVisitShuffle(this.order);
+            this.updateArtworks();
+            
+            console.log(`✅ Loaded ${this.artworks.length} total artworks from ${this.collections.size} collections`);
+            
+        } catch (error) {
+            console.error('❌ Error loading artwork metadata:', error);
+            this.loadError = error.message;
+            this.artworks = [];
         }
-        
-        // Add the last field
-        fields.push(currentField);
-        
-        return fields;
     }
 
     /**
@@ -411,14 +484,73 @@ export class MetadataProcessor {
     }
 
     /**
-     * Search artworks by query
+     * Load data/search-index.json once. When it hasn't been built, the index
+     * is built here from all collections instead.
      */
-    searchArtworks(query) {
-        const lowercaseQuery = query.toLowerCase();
-        return this.artworks.filter(artwork => 
-            artwork.title.toLowerCase().includes(lowercaseQuery) ||
-            artwork.description.toLowerCase().includes(lowercaseQuery) ||
-            artwork.tags.some(tag => tag.toLowerCase().includes(lowercaseQuery))
-        );
+    loadSearchIndex() {
+        if (!this.searchIndexRequest) {
+            this.searchIndexRequest = this.fetchPortfolioFile('./data/search-index.json', { optional: true })
+                .then(async index => {
+                    if (index) return index;
+                    
+                    console.log('⚠️ data/search-index.json not found, indexing all collections');
+                    const failed = await this.loadAvailableCollections();
+                    if (failed > 0) {
+                        // Search what loaded, and try the missing collections again on the next search
+                        console.log(`⚠️ ${failed} collection(s) could not be loaded and are not searched`);
+                        this.searchIndexRequest = null;
+                    }
+                    return buildSearchIndex({ collections: Object.fromEntries(this.collections) });
+                })
+                .catch(error => {
+                    // Forget the failed request so the next search retries it
+                    this.searchIndexRequest = null;
+                    throw error;
+                });
+        }
+        return this.searchIndexRequest;
+    }
+
+    /**
+     * Load data/facets.json once: { facets, artworks } with the filter values
+     * of every artwork. When it hasn't been built, the facets are computed
+     * here from all collections instead.
+     */
+    loadFacets() {
+        if (!this.facetsRequest) {
+            this.facetsRequest = this.fetchPortfolioFile('./data/facets.json', { optional: true })
+                .then(async facets => {
+                    if (facets) return facets;
+                    
+                    console.log('⚠️ data/facets.json not found, computing filters from all collections');
+                    const failed = await this.loadAvailableCollections();
+                    if (failed > 0) {
+                        // Filter what loaded, and try the missing collections again on the next filter
+                        console.log(`⚠️ ${failed} collection(s) could not be loaded and are not filtered`);
+                        this.facetsRequest = null;
+                    }
+                    return buildFacets({ collections: Object.fromEntries(this.collections) }, { ...this.facetOptions, locale: this.locale });
+                })
+                .catch(error => {
+                    // Forget the failed request so the next filter retries it
+                    this.facetsRequest = null;
+                    throw error;
+                });
+        }
+        return this.facetsRequest;
+    }
+
+    /**
+     * Search artworks by title, description, tags, medium, collection name and notes.
+     * Loads the shards of collections with matches, and resolves to the
+     * matching artworks, best match first.
+     */
+    async searchArtworks(query) {
+        const results = searchIndex(await this.loadSearchIndex(), query);
+        await this.loadCollections(results.map(result => result.collection));
+        
+        return results
+            .map(result => this.getArtworkById(result.id))
+            .filter(Boolean);
     }
 }
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * Portfolio Schema Module
+ * Version of the portfolio.json format, shared by the build script and the browser.
+ * The format itself is described by data/portfolio.schema.json.
+ */
+
+// Raised on every incompatible change to portfolio.json (see scripts/migrate.js)
+export const PORTFOLIO_SCHEMA_VERSION = 1;
+
+/**
+ * Schema version of portfolio data; 0 for files written before versioning
+ */
+export function getSchemaVersion(data) {
+    const version = data && data.meta && data.meta.schemaVersion;
+    return version === undefined ? 0 : version;
+}
+
+/**
+ * Explain why portfolio data can't be read by this version of the site,
+ * or return null when its schema version is the current one
+ */
+export function describeSchemaMismatch(data) {
+    const version = getSchemaVersion(data);
+    if (version === PORTFOLIO_SCHEMA_VERSION) return null;
+
+    if (Number.isInteger(version) && version < PORTFOLIO_SCHEMA_VERSION) {
+        const written = version === 0 ? 'without a schema version' : `with schema version ${version}`;
+        return `portfolio.json was written ${written}, but this site reads version ${PORTFOLIO_SCHEMA_VERSION}. ` +
+            'Run `galorio migrate` (or rebuild it with `galorio build`) to upgrade it.';
+    }
+    return `portfolio.json has schema version ${JSON.stringify(version)}, but this site only reads version ` +
+        `${PORTFOLIO_SCHEMA_VERSION}. Update the site to a release that supports it, or rebuild portfolio.json.`;
+}
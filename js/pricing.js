@@ -0,0 +1,127 @@
+/**
+ * Pricing Module
+ * Parses Pricing cells into structured prices, shared by the build script and the browser
+ */
+
+// Currency symbols and the ISO 4217 code each stands for
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    'US$': 'USD',
+    'A$': 'AUD',
+    'C$': 'CAD',
+    'NZ$': 'NZD',
+    'HK$': 'HKD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY'
+};
+
+const SOLD_PATTERN = /\bsold\b/i;
+const NOT_FOR_SALE_PATTERN = /\b(?:nfs|not for sale)\b/i;
+const ON_REQUEST_PATTERN = /\b(?:poa|p\.o\.a\.?|por|(?:price )?on (?:request|application))(?:\W|$)/i;
+
+// An amount with an optional currency symbol or ISO code before or after it,
+// e.g. "$1,200", "€500", "EUR 2.500,00", "1 200 GBP" or "CHF 1'200"
+const AMOUNT_PATTERN = /(?:\b([A-Z]{3})\s?|(US\$|A\$|C\$|NZ\$|HK\$|[$€£¥])\s?)?(\d(?:[\d.,'’ ]*\d)?)(?:\s?([A-Z]{3})\b|\s?([$€£¥]))?/;
+
+/**
+ * Parse a number written with thousands separators and a "." or "," decimal mark
+ */
+function parseAmount(text) {
+    const digits = text.replace(/[\s'’]/g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+    let normalised;
+
+    if (lastComma >= 0 && lastDot >= 0) {
+        // Both marks used: the last one is the decimal mark
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        normalised = digits.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma >= 0 || lastDot >= 0) {
+        // One mark: "1,200" and "1.200.000" group thousands, "12,50" and "12.5" have decimals
+        const parts = digits.split(lastComma >= 0 ? ',' : '.');
+        const groupsThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+        normalised = groupsThousands ? parts.join('') : parts.join('.');
+    } else {
+        normalised = digits;
+    }
+
+    const amount = Number(normalised);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse a Pricing cell into { amount, currency, display, onRequest, status }.
+ *
+ * - amount: the number, or null when there is none
+ * - currency: ISO 4217 code from the symbol or code used, else options.defaultCurrency
+ * - display: the trimmed original text
+ * - onRequest: true for "POA", "Price on request" and similar
+ * - status: 'for-sale', 'sold' or 'not-for-sale'
+ *
+ * Returns null for an empty cell.
+ */
+export function parsePricing(text, options = {}) {
+    const display = text === undefined || text === null ? '' : String(text).trim();
+    if (!display) return null;
+
+    let status = 'for-sale';
+    if (SOLD_PATTERN.test(display)) {
+        status = 'sold';
+    } else if (NOT_FOR_SALE_PATTERN.test(display)) {
+        status = 'not-for-sale';
+    }
+
+    let amount = null;
+    let currency = null;
+    const match = display.match(AMOUNT_PATTERN);
+    if (match) {
+        const [, codeBefore, symbolBefore, number, codeAfter, symbolAfter] = match;
+        const symbol = symbolBefore || symbolAfter;
+        amount = parseAmount(number);
+        currency = codeBefore || codeAfter || (symbol && CURRENCY_SYMBOLS[symbol]) || options.defaultCurrency || null;
+    }
+
+    return {
+        amount,
+        currency: amount === null ? null : currency,
+        display,
+        onRequest: amount === null && ON_REQUEST_PATTERN.test(display),
+        status
+    };
+}
+
+/**
+ * Check whether a parsed price was understood (an amount or a known keyword)
+ */
+export function isRecognisedPricing(price) {
+    return !price || price.amount !== null || price.onRequest || price.status !== 'for-sale';
+}
+
+/**
+ * Format a price for display with Intl.NumberFormat in the given locale.
+ * Plain strings (portfolio.json built before structured pricing) are shown as-is.
+ */
+export function formatPrice(price, locale) {
+    if (!price) return '';
+    if (typeof price === 'string') return price;
+
+    if (price.status === 'sold') return 'Sold';
+    if (price.status === 'not-for-sale') return 'Not for sale';
+    if (price.amount === null) {
+        return price.onRequest ? 'Price on request' : price.display;
+    }
+
+    try {
+        const options = price.currency ? { style: 'currency', currency: price.currency } : {};
+        // Whole amounts are shown without cents
+        if (Number.isInteger(price.amount)) {
+            options.minimumFractionDigits = 0;
+            options.maximumFractionDigits = 0;
+        }
+        return new Intl.NumberFormat(locale, options).format(price.amount);
+    } catch (error) {
+        return price.display;
+    }
+}
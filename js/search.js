@@ -0,0 +1,148 @@
+/**
+ * Search Module
+ * Inverted index over artwork text, shared by the build script (which writes
+ * data/search-index.json) and the browser (which queries it)
+ */
+
+import { getTagLabel } from './tags.js';
+
+// Indexed fields and how much a match in each counts towards an artwork's score
+export const SEARCH_FIELDS = {
+    title: { weight: 8, text: artwork => artwork.title },
+    tags: { weight: 5, text: artwork => (artwork.tags || []).map(getTagLabel).join(' ') },
+    medium: { weight: 3, text: artwork => artwork.medium },
+    collection: { weight: 3, text: (artwork, collection) => collection.name },
+    description: { weight: 1, text: artwork => artwork.description },
+    notes: { weight: 1, text: artwork => artwork.notes }
+};
+
+// Words shorter than this are not indexed, and only match as the last, still typed, word of a query (numbers always count)
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Fold a word for matching: lower case, without accents
+ */
+function foldWord(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into folded search terms, e.g. "Café au lait" → ["cafe", "au", "lait"]
+ */
+export function tokenize(text) {
+    return (String(text || '').match(/[\p{L}\p{N}]+/gu) || [])
+        .map(foldWord)
+        .filter(term => term.length >= MIN_TERM_LENGTH || /\d/.test(term));
+}
+
+/**
+ * Split a query into search terms. Unlike tokenize, a short last word is
+ * kept, so the first letter typed already matches as a prefix.
+ */
+function tokenizeQuery(query) {
+    const words = (String(query || '').match(/[\p{L}\p{N}]+/gu) || []).map(foldWord);
+    return words.filter((term, position) =>
+        term.length >= MIN_TERM_LENGTH || /\d/.test(term) || position === words.length - 1);
+}
+
+/**
+ * Build the search index of portfolio data:
+ * { artworks: [[id, collectionId], ...], terms: { term: [artwork, weight, artwork, weight, ...] } }
+ * where artwork is a position in artworks and weight the sum of the field
+ * weights the term appears in
+ */
+export function buildSearchIndex(portfolioData) {
+    const artworks = [];
+    const terms = new Map();
+
+    Object.values(portfolioData.collections).forEach(collection => {
+        (collection.artworks || []).forEach(artwork => {
+            const position = artworks.length;
+            artworks.push([artwork.id, collection.id]);
+
+            const weights = new Map();
+            Object.values(SEARCH_FIELDS).forEach(({ weight, text }) => {
+                new Set(tokenize(text(artwork, collection))).forEach(term => {
+                    weights.set(term, (weights.get(term) || 0) + weight);
+                });
+            });
+            weights.forEach((weight, term) => {
+                if (!terms.has(term)) terms.set(term, []);
+                terms.get(term).push(position, weight);
+            });
+        });
+    });
+
+    // Sorted terms keep the file stable between builds
+    const sortedTerms = {};
+    [...terms.keys()].sort().forEach(term => {
+        sortedTerms[term] = terms.get(term);
+    });
+    return { artworks, terms: sortedTerms };
+}
+
+/**
+ * Find the artworks matching every word of a query. The last word also
+ * matches longer terms, so results update while a word is being typed.
+ * Returns [{ id, collection, score }], best match first.
+ */
+export function searchIndex(index, query) {
+    const queryTerms = tokenizeQuery(query);
+    if (queryTerms.length === 0) return [];
+
+    const allTerms = Object.keys(index.terms);
+    let scores = null;
+
+    queryTerms.forEach((queryTerm, position) => {
+        const prefix = position === queryTerms.length - 1;
+        const termScores = new Map();
+
+        const matching = prefix ? allTerms.filter(term => term.startsWith(queryTerm)) : [queryTerm];
+        matching.forEach(term => {
+            const postings = index.terms[term] || [];
+            // Whole-word matches rank above prefix matches
+            const factor = term === queryTerm ? 2 : 1;
+            for (let i = 0; i < postings.length; i += 2) {
+                const score = postings[i + 1] * factor;
+                termScores.set(postings[i], Math.max(termScores.get(postings[i]) || 0, score));
+            }
+        });
+
+        // Every query word has to match
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            scores = new Map([...scores]
+                .filter(([artwork]) => termScores.has(artwork))
+                .map(([artwork, score]) => [artwork, score + termScores.get(artwork)]));
+        }
+    });
+
+    return [...scores]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([artwork, score]) => {
+            const [id, collection] = index.artworks[artwork];
+            return { id, collection, score };
+        });
+}
+
+/**
+ * Find where a query matches text, for highlighting.
+ * Returns [[start, end], ...] offsets of the matched start of each word.
+ */
+export function findMatches(text, query) {
+    const queryTerms = tokenizeQuery(query);
+    const ranges = [];
+    if (!text || queryTerms.length === 0) return ranges;
+
+    for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = foldWord(match[0]);
+        const queryTerm = queryTerms.find(term => word.startsWith(term));
+        if (queryTerm) {
+            // Folding can change the length of a word, then the whole word is marked
+            const length = word.length === match[0].length ? queryTerm.length : match[0].length;
+            ranges.push([match.index, match.index + length]);
+        }
+    }
+    return ranges;
+}
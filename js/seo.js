@@ -0,0 +1,38 @@
+/**
+ * SEO Module
+ * Builds the schema.org VisualArtwork data for artwork pages, shared by the
+ * build script (prerendered pages) and the browser
+ */
+
+/**
+ * Build the VisualArtwork JSON-LD object for an artwork.
+ * options.image and options.url are the image and page URLs to publish,
+ * options.artist the creator's name.
+ */
+export function buildArtworkSchema(artwork, options = {}) {
+    // Structured price from the build; offers are only published for works with an amount,
+    // since validators reject an Offer without a price
+    const price = artwork.price && typeof artwork.price === 'object' ? artwork.price : null;
+    const hasPrice = !!price && typeof price.amount === 'number';
+
+    return {
+        "@context": "https://schema.org",
+        "@type": "VisualArtwork",
+        "name": artwork.title,
+        "url": options.url,
+        "creator": {
+            "@type": "Person",
+            "name": options.artist
+        },
+        "image": options.image || artwork.imageUrl,
+        "description": artwork.description,
+        "artMedium": artwork.medium || undefined,
+        "dateCreated": artwork.year || undefined,
+        "offers": hasPrice ? {
+            "@type": "Offer",
+            "price": price.amount,
+            "priceCurrency": price.currency || undefined,
+            "availability": artwork.available ? "InStock" : "OutOfStock"
+        } : undefined
+    };
+}
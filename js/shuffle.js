@@ -0,0 +1,73 @@
+/**
+ * Shuffle Module
+ * Seeded, reproducible shuffles, shared by the build script and the browser
+ */
+
+/**
+ * Hash a seed (string or number) to a 32-bit integer (FNV-1a)
+ */
+function hashSeed(seed) {
+    let hash = 2166136261;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a random number generator (mulberry32) returning numbers in [0, 1).
+ * The same seed always gives the same sequence.
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffle a copy of an array with the Fisher-Yates algorithm.
+ * With a seed the order is reproducible; without one it uses Math.random.
+ */
+export function shuffleArray(array, seed) {
+    const random = seed === undefined || seed === null ? Math.random : createRandom(seed);
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Seed for "daily" ordering: the UTC date, e.g. "2024-03-01"
+ */
+export function dailySeed(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+const VISIT_SEED_KEY = 'shuffleSeed';
+
+/**
+ * Seed for the current visit: kept for the browser session, so going back to
+ * the gallery shows the same order, and new on the next visit
+ */
+export function getVisitSeed() {
+    try {
+        let seed = sessionStorage.getItem(VISIT_SEED_KEY);
+        if (!seed) {
+            seed = String(Math.floor(Math.random() * 1e9));
+            sessionStorage.setItem(VISIT_SEED_KEY, seed);
+        }
+        return seed;
+    } catch (error) {
+        // Storage unavailable (private mode), reshuffle on every page load
+        return String(Math.floor(Math.random() * 1e9));
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Tags Module
+ * Tag slugs and labels, shared by the build script and the browser
+ */
+
+/**
+ * Turn a tag into its slug, e.g. "Mixed Media" → "mixed-media"
+ */
+export function slugifyTag(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Slug of a tag that may be { slug, label } or a plain string
+ * (portfolio.json built before the tag taxonomy)
+ */
+export function getTagSlug(tag) {
+    return typeof tag === 'string' ? slugifyTag(tag) : tag.slug;
+}
+
+/**
+ * Display label of a tag that may be { slug, label } or a plain string
+ */
+export function getTagLabel(tag) {
+    return typeof tag === 'string' ? tag : tag.label;
+}
@@ -5,6 +5,8 @@ import copy from 'rollup-plugin-copy';
 import postcss from 'rollup-plugin-postcss';
 import fs from 'fs';
 import path from 'path';
+import { renderArtworkPages } from './scripts/prerender.js';
+import { DEFAULT_SITE_URL } from './scripts/sitemap.js';
 
 // Custom plugin to bundle HTML with inlined CSS and JS
 function htmlBundle() {
@@ -88,6 +90,23 @@ function artworkHtmlBundle() {
         fileName: 'artwork.html',
         source: bundledHtml
       });
+      
+      // Emit the prerendered artwork/<ID>/index.html pages from the bundled HTML
+      if (fs.existsSync('data/portfolio.json')) {
+        const portfolioData = JSON.parse(fs.readFileSync('data/portfolio.json', 'utf-8'));
+        const config = fs.existsSync('build.config.json')
+          ? JSON.parse(fs.readFileSync('build.config.json', 'utf-8'))
+          : {};
+        const siteTitle = config.siteTitle || 'Art Portfolio';
+        
+        renderArtworkPages(bundledHtml, portfolioData, {
+          siteUrl: config.siteUrl || DEFAULT_SITE_URL,
+          siteTitle,
+          artist: config.siteAuthor || siteTitle
+        }).forEach(({ fileName, html }) => {
+          this.emitFile({ type: 'asset', fileName, source: html });
+        });
+      }
     }
   };
 }
@@ -135,10 +154,12 @@ export default [
       copy({
         targets: [
           { src: 'artworks/**/*', dest: 'dist/artworks' },
-          { src: 'data/**/*', dest: 'dist/data' },
+          // data/collections/ is copied as a directory, so shards keep their paths
+          { src: 'data/*', dest: 'dist/data' },
           { src: 'config/**/*', dest: 'dist/config' },
           { src: 'favicon.ico', dest: 'dist' },
-          { src: 'sitemap.xml', dest: 'dist' },
+          { src: 'sitemap*.xml', dest: 'dist' },
+          { src: ['feed.xml', 'feed.json'], dest: 'dist' },
           { src: 'debug.html', dest: 'dist' }
         ]
       }),
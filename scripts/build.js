@@ -8,22 +8,59 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { parseCSV, parseCSVWithLines } from '../js/csv.js';
+import { parsePricing, isRecognisedPricing } from '../js/pricing.js';
+import { parseDimensions, toDimensions, convertDimensions, DIMENSION_UNITS, DISPLAY_UNITS } from '../js/dimensions.js';
+import { shuffleArray, dailySeed } from '../js/shuffle.js';
+import { inspectImageFile, readImageDimensions, readImageMetadata } from './images.js';
+import { writeSitemap, MAX_SITEMAP_URLS, DEFAULT_SITE_URL } from './sitemap.js';
+import { writeFeeds } from './feeds.js';
+import { writeShards, DEFAULT_PREVIEW_COUNT } from './shards.js';
+import { buildSearchIndex } from '../js/search.js';
+import { buildFacets, DEFAULT_PRICE_RANGES } from '../js/facets.js';
+import { writeArtworkPages } from './prerender.js';
+import { generateThumbnails as writeThumbnails, hasImageMagick } from './thumbnails.js';
+import { diffPortfolios, countChanges, formatDiffReport } from './diff.js';
+import { validatePortfolio } from './schema.js';
+import { migratePortfolio, PORTFOLIO_SCHEMA_REF } from './migrate.js';
+import { PORTFOLIO_SCHEMA_VERSION, getSchemaVersion, describeSchemaMismatch } from '../js/portfolio-schema.js';
+import { buildTaxonomy, resolveTags, generateAutoTags, DEFAULT_STOPWORDS } from './taxonomy.js';
+import { resolveColumnMapping, mapRow, readColumn, isValidColumnValue, findUnmappedHeaders } from './columns.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.dirname(__dirname);
 
+// build.config.json, or the file passed with --config
+let buildConfigPath = path.join(projectRoot, 'build.config.json');
+
 // Load Build Configuration
 function loadBuildConfig() {
-    const configPath = path.join(projectRoot, 'build.config.json');
+    const configPath = buildConfigPath;
     if (fs.existsSync(configPath)) {
         try {
             const configText = fs.readFileSync(configPath, 'utf8');
             const config = JSON.parse(configText);
             return {
                 COLLECTION_ORDER: config.collectionOrder || 'alphabetical',
-                ARTWORK_ORDER: config.artworkOrder || 'alphabetical'
+                ARTWORK_ORDER: config.artworkOrder || 'alphabetical',
+                LOCALE: config.locale || 'en-US',
+                CURRENCY: config.currency || 'USD',
+                DIMENSION_UNIT: DIMENSION_UNITS.includes(config.dimensionUnit) ? config.dimensionUnit : 'cm',
+                DISPLAY_UNIT: DISPLAY_UNITS.includes(config.displayUnit) ? config.displayUnit : 'cm',
+                SITE_URL: config.siteUrl || DEFAULT_SITE_URL,
+                SITEMAP_MAX_URLS: config.sitemapMaxUrls || MAX_SITEMAP_URLS,
+                SITE_TITLE: config.siteTitle || 'Art Portfolio',
+                SITE_AUTHOR: config.siteAuthor || '',
+                AUTO_TAGS: config.autoTags === true,
+                TAG_STOPWORDS: Array.isArray(config.tagStopwords) ? config.tagStopwords : DEFAULT_STOPWORDS,
+                RANDOM_SEED: config.randomSeed === undefined || config.randomSeed === '' ? null : config.randomSeed,
+                SHUFFLE_ON_VISIT: config.shuffleOnVisit === true,
+                PREVIEW_COUNT: config.previewCount || DEFAULT_PREVIEW_COUNT,
+                PRICE_RANGES: Array.isArray(config.priceRanges) ? config.priceRanges : DEFAULT_PRICE_RANGES,
+                COLUMNS: resolveColumnMapping(config.columns)
             };
         } catch (error) {
             console.log('⚠️ Error reading build config, using defaults:', error.message);
@@ -33,120 +70,56 @@ function loadBuildConfig() {
     // Default configuration
     return {
         COLLECTION_ORDER: 'csv_order',
-        ARTWORK_ORDER: 'csv_order'
+        ARTWORK_ORDER: 'csv_order',
+        LOCALE: 'en-US',
+        CURRENCY: 'USD',
+        DIMENSION_UNIT: 'cm',
+        DISPLAY_UNIT: 'cm',
+        SITE_URL: DEFAULT_SITE_URL,
+        SITEMAP_MAX_URLS: MAX_SITEMAP_URLS,
+        SITE_TITLE: 'Art Portfolio',
+        SITE_AUTHOR: '',
+        AUTO_TAGS: false,
+        TAG_STOPWORDS: DEFAULT_STOPWORDS,
+        RANDOM_SEED: null,
+        SHUFFLE_ON_VISIT: false,
+        PREVIEW_COUNT: DEFAULT_PREVIEW_COUNT,
+        PRICE_RANGES: DEFAULT_PRICE_RANGES,
+        COLUMNS: resolveColumnMapping()
     };
 }
 
-const BUILD_CONFIG = loadBuildConfig();
-
-// Check if portfolio.json already exists and is valid
-const portfolioJsonPath = path.join(projectRoot, 'data', 'portfolio.json');
-if (fs.existsSync(portfolioJsonPath)) {
-    try {
-        const existingData = JSON.parse(fs.readFileSync(portfolioJsonPath, 'utf8'));
-        if (existingData && existingData.meta && existingData.meta.totalArtworks > 0) {
-            console.log('✅ Existing portfolio.json found with data');
-            console.log(`📊 Data summary:
-   - ${existingData.meta.totalArtworks} artworks
-   - ${existingData.meta.collectionsCount} collections
-   - ${existingData.meta.featuredCount} featured artworks`);
-            console.log('\n🚀 Using existing portfolio data - skipping CSV processing');
-            console.log('💡 To regenerate from CSV, delete data/portfolio.json and run build:metadata');
-            process.exit(0);
-        }
-    } catch (error) {
-        console.log('⚠️ Existing portfolio.json found but invalid, regenerating...');
-    }
-}
-
-console.log('🎨 Building Art Portfolio Static...\n');
-console.log(`📋 Configuration:
-   - Collection Order: ${BUILD_CONFIG.COLLECTION_ORDER}
-   - Artwork Order: ${BUILD_CONFIG.ARTWORK_ORDER}\n`);
+let BUILD_CONFIG = loadBuildConfig();
 
 /**
- * Parse CSV file with proper handling of quoted fields and multiline content
+ * Read the build configuration from another file than build.config.json
  */
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    const headers = parseCSVLine(lines[0]);
-    const data = [];
-    
-    let i = 1;
-    while (i < lines.length) {
-        const { values, nextLineIndex } = parseCSVRecord(lines, i);
-        if (values && values.length > 0 && values.some(v => v.trim())) {
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            data.push(row);
-        }
-        i = nextLineIndex;
-    }
-
-    return data;
+export function setBuildConfigPath(configPath) {
+    buildConfigPath = path.resolve(configPath);
+    BUILD_CONFIG = loadBuildConfig();
 }
 
 /**
- * Parse a single CSV line, handling quoted fields
+ * Error for problems in the portfolio inputs, reported without a stack trace
  */
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    let i = 0;
-    
-    while (i < line.length) {
-        const char = line[i];
-        
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                // Escaped quote
-                current += '"';
-                i += 2;
-            } else {
-                // Toggle quote state
-                inQuotes = !inQuotes;
-                i++;
-            }
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-            i++;
-        } else {
-            current += char;
-            i++;
-        }
+export class BuildError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BuildError';
     }
-    
-    result.push(current.trim());
-    return result;
 }
 
-/**
- * Parse a CSV record that might span multiple lines
- */
-function parseCSVRecord(lines, startIndex) {
-    let record = lines[startIndex];
-    let currentIndex = startIndex;
-    
-    // Count quotes to determine if record is complete
-    let quoteCount = (record.match(/"/g) || []).length;
-    
-    // If odd number of quotes, the record continues on next lines
-    while (quoteCount % 2 !== 0 && currentIndex + 1 < lines.length) {
-        currentIndex++;
-        record += '\n' + lines[currentIndex];
-        quoteCount += (lines[currentIndex].match(/"/g) || []).length;
-    }
-    
-    const values = parseCSVLine(record);
-    return {
-        values,
-        nextLineIndex: currentIndex + 1
-    };
-}
+// Command line flags
+const CLI_ARGS = process.argv.slice(2);
+const CHECK_ONLY = CLI_ARGS.includes('--check');
+const FORCE_BUILD = CLI_ARGS.includes('--force');
+const DRY_RUN = CLI_ARGS.includes('--dry-run');
+// --report <file>: also write the change report as JSON
+const REPORT_PATH = CLI_ARGS.includes('--report') ? CLI_ARGS[CLI_ARGS.indexOf('--report') + 1] : null;
+
+// Generated data and the manifest of input hashes it was built from
+const portfolioJsonPath = path.join(projectRoot, 'data', 'portfolio.json');
+const manifestPath = path.join(projectRoot, 'data', 'build-manifest.json');
 
 /**
  * Load CSV configuration
@@ -200,67 +173,348 @@ function getImageFiles() {
     }
 }
 
+// Images in artworks/ that are not artworks (see .gitignore)
+const NON_ARTWORK_IMAGES = [/^profile\./, /-placeholder\./, /-sample\./];
+
+// Extra images shown after the main <ID>.jpg, in this order:
+// <ID>_001.jpg (numbered views), <ID>_detail-1.jpg (details), <ID>_installation-1.jpg (installation views)
+const IMAGE_KIND_ORDER = ['main', 'view', 'detail', 'installation'];
+
 /**
- * Load metadata for an artwork from CSV (not used in CSV-only mode)
+ * Escape text for use in a regular expression
  */
-function loadArtworkMetadata(filename) {
-    // This function is not needed in CSV-only mode
-    // All metadata comes from the CSV file
-    return null;
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
- * Process CSV row into artwork object
+ * Match an image file name against the variant names of an artwork ID.
+ * Returns { kind, number } or null.
  */
-function processCSVRow(row) {
+function matchImageVariant(file, id) {
+    const pattern = new RegExp(
+        `^${escapeRegExp(id)}(?:_(\\d+)|[_-](detail|installation|install)(?:[_-]?(\\d+))?)\\.[a-z0-9]+$`, 'i'
+    );
+    const match = file.match(pattern);
+    if (!match) return null;
+    
+    if (match[1]) {
+        return { kind: 'view', number: parseInt(match[1], 10) };
+    }
     return {
-        filename: row.filename,
-        imageUrl: `./artworks/${row.filename}`,
-        id: generateId(row.filename),
-        title: row.title || generateTitleFromFilename(row.filename),
-        medium: row.medium || '',
-        dimensions: row.dimensions || '',
-        year: row.year || '',
-        price: row.price || 'Price on request',
-        description: row.description || '',
-        available: parseBoolean(row.available),
-        collection: row.collection || 'All',
-        order: row.order ? parseInt(row.order) : 999,
-        featured: parseBoolean(row.featured),
-        tags: parseTags(row.tags)
+        kind: match[2].toLowerCase() === 'detail' ? 'detail' : 'installation',
+        number: match[3] ? parseInt(match[3], 10) : 0
     };
 }
 
 /**
- * Parse boolean values from CSV
+ * Find each artwork's main image and its numbered views, detail shots and
+ * installation views, and record them as an ordered images[] list
+ */
+function discoverArtworkImages(artworks) {
+    const artworksDir = path.join(projectRoot, 'artworks');
+    const imageFiles = getImageFiles();
+    
+    artworks.forEach(artwork => {
+        const found = imageFiles
+            .map(file => ({
+                file,
+                match: file === artwork.filename ? { kind: 'main', number: 0 } : matchImageVariant(file, artwork.id)
+            }))
+            .filter(({ match }) => match)
+            .sort((a, b) =>
+                IMAGE_KIND_ORDER.indexOf(a.match.kind) - IMAGE_KIND_ORDER.indexOf(b.match.kind) ||
+                a.match.number - b.match.number ||
+                a.file.localeCompare(b.file)
+            );
+        
+        artwork.images = found.map(({ file, match }) => ({
+            url: `./artworks/${file}`,
+            filename: file,
+            kind: match.kind,
+            ...readImageDimensions(path.join(artworksDir, file))
+        }));
+        
+        if (artwork.images.length > 1) {
+            console.log(`  🖼️  ${artwork.id}: ${artwork.images.length} images (${artwork.images.map(image => image.filename).join(', ')})`);
+        }
+    });
+}
+
+/**
+ * Move sidecar captions onto the matching images[] entries.
+ * Captions are either a list in image order or an object keyed by file name.
+ */
+function applyImageCaptions(artworks) {
+    artworks.forEach(artwork => {
+        const captions = artwork.captions;
+        if (!captions) return;
+        delete artwork.captions;
+        
+        const entries = Array.isArray(captions)
+            ? captions.map((caption, index) => [index, caption])
+            : Object.entries(captions);
+        
+        entries.forEach(([key, caption]) => {
+            const image = typeof key === 'number'
+                ? artwork.images[key]
+                : artwork.images.find(candidate => candidate.filename === key);
+            
+            if (!image) {
+                console.log(`⚠️ ${artwork.id}: caption for ${typeof key === 'number' ? `image ${key + 1}` : key} has no matching image`);
+            } else if (caption) {
+                image.caption = String(caption);
+            }
+        });
+    });
+}
+
+/**
+ * Flag artworks whose image file is missing, and list image files
+ * and thumbnails that no artwork references
  */
-function parseBoolean(value) {
-    if (typeof value === 'boolean') return value;
-    if (typeof value === 'string') {
-        const lower = value.toLowerCase().trim();
-        return lower === 'true' || lower === 'yes' || lower === '1';
+function checkArtworkImages(artworks) {
+    const artworksDir = path.join(projectRoot, 'artworks');
+    const thumbnailsDir = path.join(artworksDir, 'thumbnails');
+    const imageFiles = getImageFiles();
+    const referenced = new Set();
+    
+    const missing = [];
+    artworks.forEach(artwork => {
+        artwork.missingImage = !fs.existsSync(path.join(artworksDir, artwork.filename));
+        if (artwork.missingImage) {
+            missing.push(artwork);
+        }
+        (artwork.images || []).forEach(image => referenced.add(image.filename));
+    });
+    
+    const orphanImages = imageFiles.filter(file =>
+        !referenced.has(file) && !NON_ARTWORK_IMAGES.some(pattern => pattern.test(file))
+    );
+    
+    // Thumbnails are named <source name>-thumb.jpg by scripts/thumbnails.js
+    const sourceNames = new Set(imageFiles.map(file => path.parse(file).name));
+    const orphanThumbnails = fs.existsSync(thumbnailsDir)
+        ? fs.readdirSync(thumbnailsDir).filter(file => {
+            const match = file.match(/^(.+)-thumb\.[^.]+$/);
+            return match && !sourceNames.has(match[1]);
+        })
+        : [];
+    
+    if (missing.length > 0) {
+        console.log(`⚠️ ${missing.length} artwork(s) have no image in artworks/:`);
+        missing.forEach(artwork => console.log(`   - ${artwork.id}: expected artworks/${artwork.filename}`));
+    }
+    if (orphanImages.length > 0) {
+        console.log(`⚠️ ${orphanImages.length} image(s) in artworks/ are not referenced by any CSV row:`);
+        orphanImages.forEach(file => console.log(`   - artworks/${file}`));
     }
-    return false;
+    if (orphanThumbnails.length > 0) {
+        console.log(`⚠️ ${orphanThumbnails.length} thumbnail(s) have no source image:`);
+        orphanThumbnails.forEach(file => console.log(`   - artworks/thumbnails/${file}`));
+    }
+    
+    return { missing, orphanImages, orphanThumbnails };
 }
 
 /**
- * Parse tags from CSV
+ * Fail the build when artwork images are Git LFS pointer files
+ * or have invalid or truncated image data.
+ * Artworks without an images[] list (older portfolio.json files) are checked by their main filename;
+ * missing files are reported by checkArtworkImages instead.
  */
-function parseTags(tagsString) {
-    if (!tagsString) return [];
+function assertValidArtworkImages(artworks) {
+    const artworksDir = path.join(projectRoot, 'artworks');
+    const invalid = [];
+    
+    artworks.forEach(artwork => {
+        const images = artwork.images || (artwork.filename ? [{ filename: artwork.filename }] : []);
+        images.forEach(image => {
+            const imagePath = path.join(artworksDir, image.filename);
+            if (!fs.existsSync(imagePath)) return;
+            
+            const result = inspectImageFile(imagePath);
+            if (!result.ok) {
+                invalid.push(`${artwork.id}: artworks/${image.filename} - ${result.reason}`);
+            }
+        });
+    });
+    
+    if (invalid.length === 0) return;
+    
+    const lines = [
+        `${invalid.length} artwork image(s) are not valid images:`,
+        ...invalid.map(line => `   - ${line}`)
+    ];
+    if (invalid.some(line => line.includes('Git LFS pointer'))) {
+        lines.push('💡 Fetch the real images with: git lfs install && git lfs pull');
+    }
+    throw new BuildError(lines.join('\n'));
+}
+
+// Sidecar metadata files next to the images, in order of preference
+const SIDECAR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Fields derived from the ID and image file, which sidecars cannot change
+const SIDECAR_PROTECTED_FIELDS = ['id', 'filename', 'imageUrl', 'images', 'missingImage'];
+
+/**
+ * List the sidecar metadata files in the artworks directory
+ */
+function getSidecarFiles() {
+    const artworksDir = path.join(projectRoot, 'artworks');
+    if (!fs.existsSync(artworksDir)) return [];
+    
+    return fs.readdirSync(artworksDir).filter(file =>
+        SIDECAR_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    );
+}
+
+/**
+ * Load the sidecar metadata file (artworks/<ID>.json or .yaml) for an artwork
+ */
+function loadArtworkSidecar(id) {
+    const artworksDir = path.join(projectRoot, 'artworks');
+    const candidates = SIDECAR_EXTENSIONS
+        .map(ext => `${id}${ext}`)
+        .filter(file => fs.existsSync(path.join(artworksDir, file)));
+    
+    if (candidates.length === 0) return null;
+    if (candidates.length > 1) {
+        console.log(`⚠️ ${id}: several sidecar files found, using artworks/${candidates[0]} (ignoring ${candidates.slice(1).join(', ')})`);
+    }
+    
+    const file = candidates[0];
+    const text = fs.readFileSync(path.join(artworksDir, file), 'utf8');
+    let data;
+    try {
+        data = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new BuildError(`Invalid sidecar file artworks/${file}: ${error.message}`);
+    }
+    
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new BuildError(`Invalid sidecar file artworks/${file}: expected an object of artwork fields`);
+    }
+    return { file, data };
+}
+
+/**
+ * Recompute the fields the build derives from a sidecar's raw values:
+ * price and available from pricing, structured dimensions from a dimensions string.
+ * A sidecar that sets price or available itself keeps its values.
+ */
+function deriveSidecarFields(artwork, merged) {
+    if (merged.includes('pricing')) {
+        const price = parsePricing(artwork.pricing, { defaultCurrency: BUILD_CONFIG.CURRENCY });
+        if (!merged.includes('price')) artwork.price = price;
+        if (!merged.includes('available')) artwork.available = !!artwork.price && artwork.price.status === 'for-sale';
+    }
+    if (merged.includes('dimensions') && typeof artwork.dimensions !== 'object') {
+        artwork.dimensions = buildDimensions(artwork.dimensions, artwork.id);
+    }
+}
+
+/**
+ * Merge sidecar metadata over the CSV-derived artwork fields.
+ * Sidecar values win; values that override a different CSV value are reported.
+ * Returns the fields each sidecar set, keyed by artwork ID.
+ */
+function applySidecarMetadata(artworks) {
+    const used = new Set();
+    const sidecarFields = new Map();
+    
+    artworks.forEach(artwork => {
+        const sidecar = loadArtworkSidecar(artwork.id);
+        if (!sidecar) return;
+        
+        used.add(sidecar.file);
+        const merged = [];
+        const conflicts = [];
+        
+        Object.entries(sidecar.data).forEach(([field, value]) => {
+            if (SIDECAR_PROTECTED_FIELDS.includes(field)) {
+                console.log(`⚠️ ${artwork.id}: ignoring "${field}" in artworks/${sidecar.file} (set by the build)`);
+                return;
+            }
+            
+            const current = artwork[field];
+            const hasCSVValue = current !== undefined && current !== '' &&
+                !(Array.isArray(current) && current.length === 0);
+            if (hasCSVValue && JSON.stringify(current) !== JSON.stringify(value)) {
+                conflicts.push(`${field}: CSV ${JSON.stringify(current)} → sidecar ${JSON.stringify(value)}`);
+            }
+            
+            artwork[field] = value;
+            merged.push(field);
+        });
+        
+        deriveSidecarFields(artwork, merged);
+        sidecarFields.set(artwork.id, new Set(merged));
+        console.log(`  📎 ${artwork.id}: ${merged.join(', ')} ← artworks/${sidecar.file}`);
+        if (conflicts.length > 0) {
+            console.log(`  ⚠️ ${artwork.id}: sidecar overrides ${conflicts.length} CSV value(s):`);
+            conflicts.forEach(conflict => console.log(`     - ${conflict}`));
+        }
+    });
     
-    return tagsString
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
+    const orphans = getSidecarFiles().filter(file => !used.has(file));
+    if (orphans.length > 0) {
+        console.log(`⚠️ ${orphans.length} sidecar file(s) in artworks/ do not match any artwork ID:`);
+        orphans.forEach(file => console.log(`   - artworks/${file}`));
+    }
+    
+    return sidecarFields;
 }
 
 /**
- * Generate title from filename
+ * Load the metadata embedded in an artwork's image file (EXIF/IPTC/XMP)
  */
-function generateTitleFromFilename(filename) {
-    const baseName = path.parse(filename).name;
-    return baseName.replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+async function loadArtworkMetadata(filename) {
+    const filePath = path.join(projectRoot, 'artworks', filename);
+    try {
+        return await readImageMetadata(filePath);
+    } catch (error) {
+        console.log(`⚠️ Could not read image metadata from artworks/${filename}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Fill empty artwork fields from embedded image metadata.
+ * Values from the CSV and sidecars always win; each filled field is logged with its source.
+ */
+async function applyImageMetadata(artworks, sidecarFields = new Map()) {
+    for (const artwork of artworks) {
+        if (artwork.missingImage) continue;
+
+        const metadata = await loadArtworkMetadata(artwork.filename);
+        if (!metadata) continue;
+
+        const { fields, sources } = metadata;
+        const filled = [];
+        const fill = (key, field) => {
+            if (fields[field] === undefined || artwork[key]) return;
+            artwork[key] = fields[field];
+            filled.push(`${key} ← ${sources[field]}`);
+        };
+
+        fill('title', 'title');
+        fill('description', 'description');
+        fill('copyright', 'copyright');
+        fill('year', 'year');
+
+        // Keywords only fill tags left empty by the Tags column and sidecars
+        const sidecarSetTags = (sidecarFields.get(artwork.id) || new Set()).has('tags');
+        if (fields.keywords && !sidecarSetTags && artwork.tags.length === 0) {
+            artwork.tags = [...fields.keywords];
+            filled.push(`tags ← ${sources.keywords}`);
+        }
+
+        if (filled.length > 0) {
+            console.log(`  🏷️  ${artwork.id}: ${filled.join(', ')}`);
+        }
+    }
 }
 
 /**
@@ -284,58 +538,129 @@ function generateImageFilename(id, title) {
 }
 
 /**
- * Extract price from pricing column
+ * Parse a dimensions cell into { width, height, depth, unit, display }.
+ * Text that can't be parsed is kept as display only, with a warning.
  */
-function extractPrice(pricingText) {
-    if (!pricingText) return '';
+function buildDimensions(text, id) {
+    const display = text === undefined || text === null ? '' : String(text).trim();
+    if (!display) return null;
     
-    // Look for dollar amounts
-    const priceMatch = pricingText.match(/\$[\d,]+/);
-    if (priceMatch) {
-        return priceMatch[0];
+    const parsed = parseDimensions(display, { defaultUnit: BUILD_CONFIG.DIMENSION_UNIT });
+    if (!parsed) {
+        console.log(`⚠️ ${id}: could not parse dimensions "${display}", showing them as written`);
+        return { width: null, height: null, depth: null, unit: null, display };
     }
+    return { ...parsed, display };
+}
+
+/**
+ * Load the optional tag taxonomy from config/tags.csv
+ */
+function loadTagTaxonomy() {
+    const tagsFile = 'config/tags.csv';
+    const tagsPath = path.join(projectRoot, tagsFile);
+    if (!fs.existsSync(tagsPath)) return buildTaxonomy([]);
     
-    // Return as-is if no dollar sign found
-    return pricingText;
+    const taxonomy = buildTaxonomy(parseCSVWithLines(fs.readFileSync(tagsPath, 'utf8')));
+    console.log(`🏷️  Loaded ${taxonomy.terms.size} tags from ${tagsFile}`);
+    taxonomy.problems.forEach(({ line, message }) => {
+        console.log(`⚠️ ${tagsFile}:${line}  ${message}`);
+    });
+    return taxonomy;
 }
 
 /**
- * Generate tags from title and description
+ * Turn each artwork's tags into { slug, label } objects using the taxonomy,
+ * generating tags for untagged artworks when autoTags is enabled
  */
-function generateTags(title, description) {
-    const tags = [];
+function applyTags(artworks, taxonomy) {
+    const unknown = new Set();
     
-    // Extract meaningful words from title
-    if (title) {
-        const titleWords = title.toLowerCase()
-            .split(/\s+/)
-            .filter(word => word.length > 3 && !['the', 'and', 'for', 'with'].includes(word));
-        tags.push(...titleWords);
-    }
+    artworks.forEach(artwork => {
+        let values = Array.isArray(artwork.tags) ? artwork.tags : [];
+        if (values.length === 0 && BUILD_CONFIG.AUTO_TAGS) {
+            values = generateAutoTags(artwork, taxonomy, BUILD_CONFIG.TAG_STOPWORDS);
+        }
+        
+        const resolved = resolveTags(values, taxonomy);
+        artwork.tags = resolved.tags;
+        resolved.unknown.forEach(slug => unknown.add(slug));
+    });
     
-    // Extract key concepts from description
-    if (description) {
-        const keywords = ['spiritual', 'awakening', 'freedom', 'power', 'energy', 'movement', 'transition', 'patterns'];
-        keywords.forEach(keyword => {
-            if (description.toLowerCase().includes(keyword)) {
-                tags.push(keyword);
+    if (taxonomy.terms.size > 0 && unknown.size > 0) {
+        console.log(`ℹ️  Tags not in config/tags.csv (kept as written): ${[...unknown].join(', ')}`);
+    }
+}
+
+/**
+ * List every tag used by the artworks with its parent and artwork count
+ */
+function summarizeTags(artworks, taxonomy) {
+    const summary = new Map();
+    artworks.forEach(artwork => {
+        artwork.tags.forEach(({ slug, label }) => {
+            if (!summary.has(slug)) {
+                const term = taxonomy.terms.get(slug);
+                summary.set(slug, { slug, label, parent: term ? term.parent : null, count: 0 });
             }
+            summary.get(slug).count++;
         });
+    });
+    return [...summary.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Seed for random ordering: randomSeed from build.config.json, today's date
+ * when it is "daily", or null for a different order on every build
+ */
+function resolveRandomSeed() {
+    const seed = BUILD_CONFIG.RANDOM_SEED;
+    return seed === 'daily' ? dailySeed() : seed;
+}
+
+/**
+ * Check whether collections or artworks are shuffled
+ */
+function usesRandomOrder() {
+    return BUILD_CONFIG.COLLECTION_ORDER === 'random' || BUILD_CONFIG.ARTWORK_ORDER === 'random';
+}
+
+/**
+ * Describe the random seed for the configuration banner
+ */
+function describeRandomOrder() {
+    if (!usesRandomOrder()) return '';
+    const seed = resolveRandomSeed();
+    if (seed === null) {
+        return '\n   - Random Seed: none (new order on every build, set randomSeed to keep it stable)';
     }
-    
-    return [...new Set(tags)]; // Remove duplicates
+    return `\n   - Random Seed: ${seed}${BUILD_CONFIG.RANDOM_SEED === 'daily' ? ' (daily)' : ''}`;
 }
 
 /**
- * Shuffle array randomly using Fisher-Yates algorithm
+ * Check whether portfolio.json was shuffled with an earlier day's seed
  */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function isDailyOrderStale() {
+    if (BUILD_CONFIG.RANDOM_SEED !== 'daily') return false;
+    
+    try {
+        const existingData = JSON.parse(fs.readFileSync(portfolioJsonPath, 'utf8'));
+        const order = existingData.meta && existingData.meta.order;
+        if (!order) return usesRandomOrder();
+        // A seed is stored whenever something (including a SortBy random collection) was shuffled
+        return order.seed !== null && order.seed !== dailySeed();
+    } catch (error) {
+        return true;
     }
-    return shuffled;
+}
+
+/**
+ * Shuffle collections or artworks, deriving a separate seed for each
+ * so both lists don't share one sequence
+ */
+function shuffleWithSeed(array, scope) {
+    const seed = resolveRandomSeed();
+    return shuffleArray(array, seed === null ? null : `${seed}:${scope}`);
 }
 
 /**
@@ -348,13 +673,13 @@ function sortCollections(collectionsArray, csvRowOrder = new Map()) {
         
         case 'csv_order':
             return collectionsArray.sort((a, b) => {
-                const orderA = csvRowOrder.get(a.id) || 999;
-                const orderB = csvRowOrder.get(b.id) || 999;
+                const orderA = csvRowOrder.get(a.id) ?? 999;
+                const orderB = csvRowOrder.get(b.id) ?? 999;
                 return orderA - orderB;
             });
         
         case 'random':
-            return shuffleArray(collectionsArray);
+            return shuffleWithSeed(collectionsArray, 'collections');
         
         default:
             console.log(`⚠️ Unknown collection order: ${BUILD_CONFIG.COLLECTION_ORDER}, using alphabetical`);
@@ -362,30 +687,89 @@ function sortCollections(collectionsArray, csvRowOrder = new Map()) {
     }
 }
 
+// Rules for ordering artworks within a collection (collections.csv SortBy or artworkOrder)
+const ARTWORK_SORT_RULES = ['csv_order', 'title', 'year', 'price', 'size', 'manual', 'random'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
 /**
- * Sort artworks within a collection based on the configured order
+ * Normalise a sort rule name; "alphabetical" is the old name for "title"
  */
-function sortArtworks(artworksArray, csvRowOrder = new Map()) {
-    switch (BUILD_CONFIG.ARTWORK_ORDER) {
-        case 'alphabetical':
-            return artworksArray.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
-        
-        case 'csv_order':
-            return artworksArray.sort((a, b) => {
-                const orderA = csvRowOrder.get(a.id) || 999;
-                const orderB = csvRowOrder.get(b.id) || 999;
-                return orderA - orderB;
-            });
-        
-        case 'random':
-            return shuffleArray(artworksArray);
-        
+function normaliseSortRule(sortBy) {
+    const rule = String(sortBy || '').trim().toLowerCase();
+    return rule === 'alphabetical' ? 'title' : rule;
+}
+
+/**
+ * Resolve a collection's SortBy/SortDirection, falling back to artworkOrder
+ */
+function resolveSortRule(sortBy, sortDirection, collectionId) {
+    let rule = normaliseSortRule(sortBy || BUILD_CONFIG.ARTWORK_ORDER);
+    if (!ARTWORK_SORT_RULES.includes(rule)) {
+        console.log(`⚠️ ${collectionId}: unknown artwork order "${sortBy || BUILD_CONFIG.ARTWORK_ORDER}", using title`);
+        rule = 'title';
+    }
+    const direction = String(sortDirection || '').trim().toLowerCase() === 'desc' ? 'desc' : 'asc';
+    return { sortBy: rule, sortDirection: direction };
+}
+
+/**
+ * Value an artwork is sorted by, or null when it has none
+ */
+function getSortKey(artwork, sortBy) {
+    switch (sortBy) {
+        case 'title':
+            return artwork.title || null;
+        case 'year': {
+            const year = parseInt(artwork.year, 10);
+            return Number.isNaN(year) ? null : year;
+        }
+        case 'price':
+            return artwork.price && typeof artwork.price === 'object' ? artwork.price.amount : null;
+        case 'size': {
+            // Surface area in cm², so mixed units compare correctly
+            const dimensions = toDimensions(artwork.dimensions);
+            if (!dimensions) return null;
+            const inCm = convertDimensions(dimensions, 'cm');
+            return inCm.width * inCm.height;
+        }
+        case 'manual':
+            return typeof artwork.order === 'number' ? artwork.order : null;
         default:
-            console.log(`⚠️ Unknown artwork order: ${BUILD_CONFIG.ARTWORK_ORDER}, using alphabetical`);
-            return artworksArray.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+            return null;
     }
 }
 
+/**
+ * Sort a collection's artworks by its rule. Artworks without a value for the
+ * rule (no year, no price, no Order, ...) go last; ties keep CSV order.
+ */
+function sortArtworks(artworksArray, { sortBy, sortDirection }, csvRowOrder, collectionId) {
+    if (sortBy === 'random') {
+        return shuffleWithSeed(artworksArray, `artworks:${collectionId}`);
+    }
+    
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    const position = artwork => csvRowOrder.get(artwork.id) ?? Infinity;
+    
+    return [...artworksArray].sort((a, b) => {
+        if (sortBy === 'csv_order') {
+            return (position(a) - position(b)) * direction;
+        }
+        
+        const keyA = getSortKey(a, sortBy);
+        const keyB = getSortKey(b, sortBy);
+        if (keyA === null || keyB === null) {
+            if (keyA !== keyB) return keyA === null ? 1 : -1;
+        } else if (keyA !== keyB) {
+            const compared = typeof keyA === 'string'
+                ? keyA.localeCompare(keyB, undefined, { numeric: true })
+                : keyA - keyB;
+            if (compared !== 0) return compared * direction;
+        }
+        return position(a) - position(b);
+    });
+}
+
 /**
  * Load collections metadata from collections.csv
  */
@@ -408,7 +792,9 @@ function loadCollectionsMetadata() {
             id: row.ID,
             name: row.Title || row.ID,
             description: row.Description || '',
-            notes: row.Notes || ''
+            notes: row.Notes || '',
+            sortBy: row.SortBy || '',
+            sortDirection: row.SortDirection || ''
         })).filter(collection => collection.id); // Only include rows with valid IDs
         
     } catch (error) {
@@ -424,73 +810,97 @@ async function buildPortfolio() {
     console.log('� Loading CSV configuration...');
     const csvConfig = loadCSVConfig();
     
-    if (!csvConfig || csvConfig.length === 0) {
-        console.log('❌ No CSV configuration found or CSV is empty');
-        return { 
-            artworks: [], 
-            collections: {},
-            meta: {
-                generatedAt: new Date().toISOString(),
-                totalArtworks: 0,
-                collectionsCount: 0,
-                featuredCount: 0
-            }
-        };
+    if (!csvConfig) {
+        throw new BuildError('No artwork CSV found: add config/artwork-inventory.csv (see config/artwork-inventory.example.csv)');
+    }
+    if (csvConfig.length === 0) {
+        throw new BuildError('The artwork CSV has no rows: add artworks to config/artwork-inventory.csv');
     }
     
     console.log(`Found ${csvConfig.length} entries in CSV`);
     
+    const unmappedHeaders = findUnmappedHeaders(Object.keys(csvConfig[0]), BUILD_CONFIG.COLUMNS);
+    if (unmappedHeaders.length > 0) {
+        console.log(`ℹ️  Ignoring CSV columns not mapped to any field: ${unmappedHeaders.join(', ')}`);
+    }
+    
     console.log('🖼️  Processing artwork metadata from CSV...');
     const artworks = [];
     const csvRowOrder = new Map(); // Track original CSV order
     
     csvConfig.forEach((row, index) => {
-        if (row.Title) { // Check for Title instead of filename
-            console.log(`  Processing: ${row.Title}`);
+        // Read each field from the columns configured in build.config.json
+        const fields = mapRow(row, BUILD_CONFIG.COLUMNS);
+        
+        // Rows without a title may still get one from their image metadata
+        if (fields.title || fields.id) {
+            console.log(`  Processing: ${fields.title || fields.id}`);
             
-            // Map CSV columns to artwork object (using your exact column structure)
+            const price = parsePricing(fields.pricing, { defaultCurrency: BUILD_CONFIG.CURRENCY });
             const artwork = {
-                id: row.ID || generateId(row.Title),
-                title: row.Title,
-                collection: row.Collection,
-                pricing: row.Pricing,
-                dimensions: row.Dimensions || row['Dimensions'], // Handle both dimension columns
-                size: row.Size,
-                notes: row.Notes,
-                description: row['Extended description'] || '',
+                ...fields,
+                id: fields.id || generateId(fields.title),
+                title: fields.title || '',
+                description: fields.description || '',
+                dimensions: buildDimensions(fields.dimensions, fields.id || fields.title),
                 
                 // Generate image filename from ID
-                filename: generateImageFilename(row.ID, row.Title),
-                imageUrl: `./artworks/${generateImageFilename(row.ID, row.Title)}`,
+                filename: generateImageFilename(fields.id, fields.title),
+                imageUrl: `./artworks/${generateImageFilename(fields.id, fields.title)}`,
                 
-                // Set availability based on pricing or status
-                available: !!(row.Pricing && row.Pricing !== 'sold'),
+                // Available unless the pricing is empty, sold or not for sale
+                available: !!price && price.status === 'for-sale',
                 
-                // Extract price from pricing column
-                price: extractPrice(row.Pricing),
+                // Structured price: { amount, currency, display, onRequest, status }
+                price,
                 
                 // Set featured status
-                featured: row.x === 'x',
+                featured: fields.featured === true,
                 
-                // Generate tags
-                tags: generateTags(row.Title, row['Extended description'])
+                // Resolved to { slug, label } against config/tags.csv by applyTags
+                tags: Array.isArray(fields.tags) ? fields.tags : []
             };
             
             // Track CSV row order for both artwork and collection
             csvRowOrder.set(artwork.id, index);
-            if (row.Collection) {
-                csvRowOrder.set(row.Collection, index);
+            if (artwork.collection) {
+                csvRowOrder.set(artwork.collection, index);
             }
             
             artworks.push(artwork);
         }
     });
     
-    // Apply configured sorting to artworks
-    console.log(`🔧 Applying ${BUILD_CONFIG.ARTWORK_ORDER} sorting to artworks...`);
-    const sortedArtworks = sortArtworks(artworks, csvRowOrder);
+    // Collect each artwork's main image and extra views
+    discoverArtworkImages(artworks);
+    
+    // Flag artworks without an image and report unreferenced image files
+    checkArtworkImages(artworks);
+    
+    // Refuse to publish LFS pointers or corrupt files as artwork images
+    assertValidArtworkImages(artworks);
+    
+    // Merge artworks/<ID>.json or .yaml sidecars over the CSV values
+    console.log('📎 Merging sidecar metadata files...');
+    const sidecarFields = applySidecarMetadata(artworks);
+    applyImageCaptions(artworks);
+    
+    // Fill fields still empty from EXIF/IPTC/XMP metadata embedded in the images
+    console.log('🏷️  Reading embedded image metadata...');
+    await applyImageMetadata(artworks, sidecarFields);
+    
+    const untitled = artworks.filter(artwork => !artwork.title);
+    if (untitled.length > 0) {
+        console.log(`⚠️ Skipping ${untitled.length} artwork(s) with no Title in the CSV or image metadata:`);
+        untitled.forEach(artwork => console.log(`   - ${artwork.id}`));
+    }
+    const titledArtworks = artworks.filter(artwork => artwork.title);
+    
+    // Resolve tags against the optional taxonomy in config/tags.csv
+    const taxonomy = loadTagTaxonomy();
+    applyTags(titledArtworks, taxonomy);
     
-    console.log(`✅ Processed ${sortedArtworks.length} artworks from CSV`);
+    console.log(`✅ Processed ${titledArtworks.length} artworks from CSV`);
     
     // Load collections metadata
     const collectionsData = await loadCollectionsMetadata();
@@ -505,12 +915,13 @@ async function buildPortfolio() {
             name: collectionInfo.name,
             description: collectionInfo.description || '',
             notes: collectionInfo.notes || '',
+            ...resolveSortRule(collectionInfo.sortBy, collectionInfo.sortDirection, collectionInfo.id),
             artworks: []
         });
     });
     
     // Add artworks to their respective collections
-    sortedArtworks.forEach(artwork => {
+    titledArtworks.forEach(artwork => {
         const collectionId = artwork.collection;
         if (collectionId && collections.has(collectionId)) {
             collections.get(collectionId).artworks.push(artwork);
@@ -521,11 +932,19 @@ async function buildPortfolio() {
                 name: collectionId,
                 description: `Collection ${collectionId}`,
                 notes: '',
+                ...resolveSortRule('', '', collectionId),
                 artworks: [artwork]
             });
         }
     });
     
+    // Order each collection's artworks by its SortBy rule (or artworkOrder)
+    collections.forEach(collection => {
+        collection.artworks = sortArtworks(collection.artworks, collection, csvRowOrder, collection.id);
+        console.log(`🔧 ${collection.id}: artworks ordered by ${collection.sortBy} (${collection.sortDirection})`);
+    });
+    const sortedArtworks = Array.from(collections.values()).flatMap(collection => collection.artworks);
+    
     // Convert Map to Array for sorting, then back to Object for JSON serialization
     const collectionsArray = Array.from(collections.values()).filter(collection => collection.artworks.length > 0);
     
@@ -540,19 +959,335 @@ async function buildPortfolio() {
     });
     
     const portfolioData = {
+        $schema: PORTFOLIO_SCHEMA_REF,
         collections: collectionsObj,
         meta: {
+            schemaVersion: PORTFOLIO_SCHEMA_VERSION,
             generatedAt: new Date().toISOString(),
             totalArtworks: sortedArtworks.length,
             collectionsCount: Object.keys(collectionsObj).length,
             featuredCount: sortedArtworks.filter(a => a.featured === true).length,
-            missingImages: sortedArtworks.filter(a => a.missingImage).length
+            missingImages: sortedArtworks.filter(a => a.missingImage).length,
+            locale: BUILD_CONFIG.LOCALE,
+            displayUnit: BUILD_CONFIG.DISPLAY_UNIT,
+            // Price filter settings, for the gallery when data/facets.json hasn't been built
+            currency: BUILD_CONFIG.CURRENCY,
+            priceRanges: BUILD_CONFIG.PRICE_RANGES,
+            // Artwork IDs in inventory row order, used to order the feeds
+            csvOrder: titledArtworks.map(artwork => artwork.id),
+            tags: summarizeTags(sortedArtworks, taxonomy),
+            // How the lists were ordered; the gallery reshuffles random ones per visit when asked
+            order: {
+                collections: BUILD_CONFIG.COLLECTION_ORDER,
+                artworks: BUILD_CONFIG.ARTWORK_ORDER,
+                seed: sortedCollections.some(collection => collection.sortBy === 'random') || usesRandomOrder()
+                    ? resolveRandomSeed()
+                    : null,
+                shuffleOnVisit: BUILD_CONFIG.SHUFFLE_ON_VISIT
+            }
         }
     };
     
     return portfolioData;
 }
 
+/**
+ * Validate artwork inventory rows, returning problems with CSV line numbers
+ */
+function validateInventoryRows(rows, file) {
+    const problems = [];
+    const seenIds = new Map();
+    const report = (line, message) => problems.push({ file, line, message });
+
+    const columns = BUILD_CONFIG.COLUMNS;
+
+    rows.forEach(({ row, line }) => {
+        const title = readColumn(row, columns.title);
+        const id = readColumn(row, columns.id);
+
+        // A row with only an ID takes its Title from the image metadata
+        if (!title && !id) {
+            report(line, 'Missing Title and ID (row is skipped by the build)');
+        }
+
+        if (!id) {
+            if (title) report(line, 'Missing ID (the build falls back to an ID derived from the Title)');
+        } else if (seenIds.has(id)) {
+            report(line, `Duplicate ID "${id}" (first used on line ${seenIds.get(id)})`);
+        } else {
+            seenIds.set(id, line);
+        }
+
+        (columns.dimensions ? columns.dimensions.columns : []).forEach(header => {
+            const dimensions = row[header];
+            if (dimensions && !parseDimensions(dimensions)) {
+                report(line, `Malformed Dimensions "${dimensions}" (expected e.g. 50×70, 71.1 x 101.6 cm or 30*24*2 in)`);
+            }
+        });
+
+        const pricing = readColumn(row, columns.pricing);
+        if (!isRecognisedPricing(parsePricing(pricing))) {
+            report(line, `Unrecognised Pricing "${pricing}" (expected e.g. $1,200, €500, EUR 2.500, sold or POA)`);
+        }
+
+        // Values that cannot be coerced to the configured column type
+        Object.entries(columns).forEach(([field, spec]) => {
+            spec.columns.forEach(header => {
+                if (!isValidColumnValue(row[header], spec)) {
+                    report(line, `Unrecognised ${spec.type} "${row[header]}" for ${field} in column ${header}`);
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Validate collection rows, returning problems with CSV line numbers
+ */
+function validateCollectionRows(rows, file) {
+    const problems = [];
+    const report = (line, message) => problems.push({ file, line, message });
+
+    rows.forEach(({ row, line }) => {
+        if (!row.Title) report(line, 'Missing Title');
+        if (!row.ID) report(line, 'Missing ID (row is skipped by the build)');
+        if (row.SortBy && !ARTWORK_SORT_RULES.includes(normaliseSortRule(row.SortBy))) {
+            report(line, `Unknown SortBy "${row.SortBy}" (expected ${ARTWORK_SORT_RULES.join(', ')})`);
+        }
+        if (row.SortDirection && !SORT_DIRECTIONS.includes(row.SortDirection.trim().toLowerCase())) {
+            report(line, `Unknown SortDirection "${row.SortDirection}" (expected asc or desc)`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Validate the CSV exports without building anything.
+ * Returns { files: [{ file, rows }], problems: [{ file, line, message }] }
+ */
+export function validateCSVData() {
+    const inventoryFile = 'config/artwork-inventory.csv';
+    const collectionsFile = 'config/collections.csv';
+    const files = [];
+    const problems = [];
+
+    const inventoryPath = path.join(projectRoot, inventoryFile);
+    if (fs.existsSync(inventoryPath)) {
+        const rows = parseCSVWithLines(fs.readFileSync(inventoryPath, 'utf8'));
+        console.log(`📋 ${inventoryFile}: ${rows.length} rows`);
+        files.push({ file: inventoryFile, rows: rows.length });
+        problems.push(...validateInventoryRows(rows, inventoryFile));
+    } else {
+        problems.push({ file: inventoryFile, line: 0, message: 'File not found' });
+    }
+
+    const collectionsPath = path.join(projectRoot, collectionsFile);
+    if (fs.existsSync(collectionsPath)) {
+        const rows = parseCSVWithLines(fs.readFileSync(collectionsPath, 'utf8'));
+        console.log(`📚 ${collectionsFile}: ${rows.length} rows`);
+        files.push({ file: collectionsFile, rows: rows.length });
+        problems.push(...validateCollectionRows(rows, collectionsFile));
+    } else {
+        problems.push({ file: collectionsFile, line: 0, message: 'File not found' });
+    }
+
+    // The tag taxonomy is optional
+    const tagsFile = 'config/tags.csv';
+    const tagsPath = path.join(projectRoot, tagsFile);
+    if (fs.existsSync(tagsPath)) {
+        const rows = parseCSVWithLines(fs.readFileSync(tagsPath, 'utf8'));
+        console.log(`🏷️  ${tagsFile}: ${rows.length} rows`);
+        files.push({ file: tagsFile, rows: rows.length });
+        buildTaxonomy(rows).problems.forEach(({ line, message }) => {
+            problems.push({ file: tagsFile, line, message });
+        });
+    }
+
+    return { files, problems };
+}
+
+/**
+ * Print a list of CSV problems by file and line number
+ */
+export function reportCSVProblems(problems) {
+    if (problems.length === 0) {
+        console.log('\n✅ No problems found');
+        return;
+    }
+
+    console.log(`\n❌ Found ${problems.length} problem(s):`);
+    problems.forEach(({ file, line, message }) => {
+        console.log(`   ${line ? `${file}:${line}` : file}  ${message}`);
+    });
+}
+
+/**
+ * Check the CSV exports without building anything.
+ * Returns true when no problems were found.
+ */
+function checkCSVData() {
+    console.log('🔎 Checking CSV data...\n');
+    const { problems } = validateCSVData();
+    reportCSVProblems(problems);
+    return problems.length === 0;
+}
+
+/**
+ * Hash a file's contents
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Hash every build input (CSV files, images and build.config.json)
+ * keyed by path relative to the project root
+ */
+function hashBuildInputs() {
+    const inputFiles = [
+        'config/artwork-inventory.csv',
+        'config/collections.csv',
+        'config/tags.csv',
+        ...getImageFiles().map(file => `artworks/${file}`),
+        ...getSidecarFiles().map(file => `artworks/${file}`)
+    ];
+
+    const hashes = {};
+    inputFiles.forEach(file => {
+        const filePath = path.join(projectRoot, file);
+        if (fs.existsSync(filePath)) {
+            hashes[file] = hashFile(filePath);
+        }
+    });
+    // Recorded under one name, whichever file --config pointed at
+    if (fs.existsSync(buildConfigPath)) {
+        hashes['build.config.json'] = hashFile(buildConfigPath);
+    }
+    return hashes;
+}
+
+/**
+ * Load the manifest recorded by the previous build:
+ * { inputs: { file: hash }, artworks: { id: hash } }
+ */
+function loadBuildManifest() {
+    if (!fs.existsSync(manifestPath)) return null;
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest.inputs ? manifest : null;
+    } catch (error) {
+        console.log('⚠️ Build manifest is invalid, ignoring it:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Record the input and artwork hashes the current build was generated from
+ */
+function writeBuildManifest(inputs, artworkHashes = {}) {
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        inputs,
+        artworks: artworkHashes
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * List inputs that were added, removed or changed since the previous build
+ */
+function diffBuildInputs(previous, current) {
+    const changes = [];
+
+    Object.keys(current).forEach(file => {
+        if (!(file in previous)) {
+            changes.push({ file, status: 'added' });
+        } else if (previous[file] !== current[file]) {
+            changes.push({ file, status: 'changed' });
+        }
+    });
+
+    Object.keys(previous).forEach(file => {
+        if (!(file in current)) {
+            changes.push({ file, status: 'removed' });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Check whether data/portfolio.json exists and contains artworks
+ */
+function hasExistingPortfolio() {
+    if (!fs.existsSync(portfolioJsonPath)) return false;
+
+    try {
+        const existingData = JSON.parse(fs.readFileSync(portfolioJsonPath, 'utf8'));
+        return !!(existingData && existingData.meta && existingData.meta.totalArtworks > 0);
+    } catch (error) {
+        console.log('⚠️ Existing portfolio.json found but invalid, regenerating...');
+        return false;
+    }
+}
+
+/**
+ * Decide whether portfolio.json needs regenerating, printing the reason.
+ * Returns the current input hashes, or null when the build can be skipped.
+ */
+function checkBuildInputs(force = false) {
+    const inputs = hashBuildInputs();
+
+    if (force) {
+        console.log('🔁 --force given, rebuilding regardless of input changes\n');
+        return inputs;
+    }
+
+    if (!hasExistingPortfolio()) {
+        return inputs;
+    }
+
+    // Deploy environments have no CSV files (they are not committed), so keep the committed data
+    if (!inputs['config/artwork-inventory.csv'] && !inputs['config/collections.csv']) {
+        console.log('✅ No CSV files found - using existing portfolio.json');
+        console.log('💡 Add config/artwork-inventory.csv to regenerate portfolio data');
+        return null;
+    }
+
+    const manifest = loadBuildManifest();
+    if (!manifest) {
+        console.log('🔁 No build manifest found, rebuilding\n');
+        return inputs;
+    }
+
+    const changes = diffBuildInputs(manifest.inputs, inputs);
+    if (changes.length === 0 && getSchemaVersion(loadPreviousPortfolio()) !== PORTFOLIO_SCHEMA_VERSION) {
+        console.log(`🔁 portfolio.json is not at schema version ${PORTFOLIO_SCHEMA_VERSION}, rebuilding\n`);
+        return inputs;
+    }
+    if (changes.length === 0 && isDailyOrderStale()) {
+        console.log(`🔁 New day, reshuffling with seed ${dailySeed()}\n`);
+        return inputs;
+    }
+    if (changes.length === 0) {
+        console.log('✅ portfolio.json is up to date - no input changes since the last build');
+        console.log('💡 Run with --force to rebuild anyway');
+        return null;
+    }
+
+    const symbols = { added: '+', removed: '-', changed: '~' };
+    console.log(`🔁 ${changes.length} input(s) changed since the last build:`);
+    changes.forEach(({ file, status }) => {
+        console.log(`   ${symbols[status]} ${file} (${status})`);
+    });
+    console.log('');
+    return inputs;
+}
+
 /**
  * Write portfolio data to file
  */
@@ -575,47 +1310,274 @@ function writePortfolioData(portfolioData) {
         console.log(`   - ${portfolioData.meta.totalArtworks} artworks`);
         console.log(`   - ${portfolioData.meta.collectionsCount} collections`);
         console.log(`   - ${portfolioData.meta.featuredCount} featured artworks`);
+        if (portfolioData.meta.missingImages > 0) {
+            console.log(`   - ${portfolioData.meta.missingImages} artworks missing images (shown as placeholders)`);
+        }
+    }
+}
+
+/**
+ * List every artwork in the portfolio data
+ */
+function getAllArtworks(portfolioData) {
+    return Object.values(portfolioData.collections).flatMap(collection => collection.artworks || []);
+}
+
+/**
+ * Load the existing portfolio.json, or null when there is none (or it is unreadable)
+ */
+function loadPreviousPortfolio() {
+    if (!fs.existsSync(portfolioJsonPath)) return null;
+    
+    try {
+        return JSON.parse(fs.readFileSync(portfolioJsonPath, 'utf8'));
+    } catch (error) {
+        // An unreadable portfolio.json has nothing worth comparing or keeping
+        return null;
+    }
+}
+
+/**
+ * Load the artworks of the existing portfolio.json, keyed by ID
+ */
+function loadPreviousArtworks() {
+    const previous = new Map();
+    const previousData = loadPreviousPortfolio();
+    if (previousData) {
+        getAllArtworks(previousData).forEach(artwork => previous.set(artwork.id, artwork));
+    }
+    return previous;
+}
+
+/**
+ * Defaults for legacy values migrated without a currency or unit
+ */
+function migrationOptions() {
+    return { currency: BUILD_CONFIG.CURRENCY, dimensionUnit: BUILD_CONFIG.DIMENSION_UNIT };
+}
+
+/**
+ * Check built portfolio data against data/portfolio.schema.json
+ */
+function assertValidPortfolio(portfolioData) {
+    const errors = validatePortfolio(portfolioData);
+    if (errors.length === 0) return;
+    
+    console.log(`❌ portfolio.json does not match data/portfolio.schema.json:`);
+    errors.slice(0, 20).forEach(({ path: at, message }) => console.log(`   ${at} ${message}`));
+    if (errors.length > 20) {
+        console.log(`   ... and ${errors.length - 20} more`);
+    }
+    throw new BuildError(`Built portfolio data has ${errors.length} schema error(s)`);
+}
+
+/**
+ * Upgrade data/portfolio.json to the current schema version.
+ * With dryRun the upgrade is checked but not written.
+ * Returns { from, to, steps, errors } with any schema errors left after migrating.
+ */
+export function migratePortfolioFile({ dryRun = false } = {}) {
+    const previousData = loadPreviousPortfolio();
+    if (!previousData) {
+        throw new BuildError('data/portfolio.json not found or not valid JSON');
+    }
+    
+    const { data, from, to, steps } = migratePortfolio(previousData, migrationOptions());
+    if (steps.length === 0) {
+        console.log(`✅ portfolio.json is already at schema version ${to}`);
+    } else {
+        console.log(`🔁 Migrating portfolio.json from schema version ${from} to ${to}:`);
+        steps.forEach(step => console.log(`   ${step}`));
+    }
+    
+    const errors = validatePortfolio(data);
+    errors.slice(0, 20).forEach(({ path: at, message }) => console.log(`   ❌ ${at} ${message}`));
+    if (errors.length > 0) {
+        console.log(`❌ ${errors.length} schema error(s) remain, portfolio.json was not changed`);
+        console.log('💡 Rebuild it from the CSV files with: galorio build --force');
+    } else if (dryRun) {
+        console.log('🔍 Dry run - nothing was written');
+    } else if (steps.length > 0) {
+        fs.writeFileSync(portfolioJsonPath, JSON.stringify(data, null, 2), 'utf8');
+        console.log(`💾 Portfolio data written to: ${portfolioJsonPath}`);
     }
+    
+    return { from, to, steps, errors };
 }
 
 /**
- * Generate sitemap
+ * Compare the new portfolio data with the existing portfolio.json and print
+ * the artworks added, removed or moved, and price, availability and featured changes.
+ * Returns the report, also written as JSON to reportPath when given.
+ */
+function reportPortfolioChanges(portfolioData, reportPath) {
+    const previousData = loadPreviousPortfolio();
+    if (previousData && getSchemaVersion(previousData) < PORTFOLIO_SCHEMA_VERSION) {
+        // Compare like with like when the previous file predates the current schema
+        Object.assign(previousData, migratePortfolio(previousData, migrationOptions()).data);
+    }
+    const report = {
+        previousGeneratedAt: (previousData && previousData.meta && previousData.meta.generatedAt) || null,
+        ...diffPortfolios(previousData, portfolioData)
+    };
+    const count = countChanges(report);
+    
+    if (!previousData) {
+        console.log('\n📝 No previous portfolio.json to compare with');
+    } else if (count === 0) {
+        console.log('\n📝 No artwork changes since the last build');
+    } else {
+        console.log(`\n📝 ${count} artwork change(s) since the last build:`);
+        formatDiffReport(report).forEach(line => console.log(`   ${line}`));
+    }
+    
+    if (reportPath) {
+        fs.writeFileSync(path.resolve(reportPath), JSON.stringify(report, null, 2), 'utf8');
+        console.log(`📝 Change report written to ${reportPath}`);
+    }
+    return report;
+}
+
+/**
+ * Hash an artwork's built fields together with its image files
+ */
+function hashArtwork(artwork, inputs) {
+    const { updatedAt, ...fields } = artwork;
+    const hash = crypto.createHash('sha256').update(JSON.stringify(fields));
+    (artwork.images || []).forEach(image => hash.update(inputs[`artworks/${image.filename}`] || ''));
+    return hash.digest('hex');
+}
+
+/**
+ * Set each artwork's updatedAt to when its CSV row, sidecar or images last
+ * changed, keeping the previous date for unchanged artworks.
+ * Returns the artwork hashes to record in the build manifest.
+ */
+function stampUpdatedAt(portfolioData, inputs) {
+    const manifest = loadBuildManifest();
+    const previousHashes = (manifest && manifest.artworks) || {};
+    const previousArtworks = loadPreviousArtworks();
+    const now = new Date().toISOString();
+    const hashes = {};
+    let changed = 0;
+    
+    getAllArtworks(portfolioData).forEach(artwork => {
+        const hash = hashArtwork(artwork, inputs);
+        const previous = previousArtworks.get(artwork.id);
+        
+        // Without a recorded hash (e.g. a fresh clone) the committed date is trusted
+        const unchanged = previous && previous.updatedAt &&
+            (previousHashes[artwork.id] === undefined || previousHashes[artwork.id] === hash);
+        
+        artwork.updatedAt = unchanged ? previous.updatedAt : now;
+        if (!unchanged) changed++;
+        hashes[artwork.id] = hash;
+    });
+    
+    if (changed > 0) {
+        console.log(`🕒 ${changed} artwork(s) new or changed since the last build`);
+    }
+    return hashes;
+}
+
+/**
+ * Generate sitemap.xml, or a sitemap index for large catalogues
  */
 function generateSitemap(portfolioData) {
-    const baseUrl = 'https://your-domain.com'; // Update with your actual domain
-    const currentDate = new Date().toISOString().split('T')[0];
-    
-    let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${baseUrl}/</loc>
-    <lastmod>${currentDate}</lastmod>
-    <priority>1.0</priority>
-  </url>`;
-    
-    // Extract all artworks from collections
-    const allArtworks = [];
-    Object.values(portfolioData.collections).forEach(collection => {
-        if (collection.artworks) {
-            allArtworks.push(...collection.artworks);
-        }
+    if (BUILD_CONFIG.SITE_URL === DEFAULT_SITE_URL) {
+        console.log(`⚠️ siteUrl is not set in build.config.json, the sitemap uses ${DEFAULT_SITE_URL}`);
+    }
+    
+    const { files, urlCount } = writeSitemap(portfolioData, {
+        siteUrl: BUILD_CONFIG.SITE_URL,
+        outputDir: projectRoot,
+        maxUrls: BUILD_CONFIG.SITEMAP_MAX_URLS
     });
     
-    allArtworks.forEach(artwork => {
-        sitemap += `
-  <url>
-    <loc>${baseUrl}/artwork.html?id=${artwork.id}</loc>
-    <lastmod>${currentDate}</lastmod>
-    <priority>0.8</priority>
-  </url>`;
+    console.log(`🗺️  Sitemap generated: ${urlCount} URLs in ${files.join(', ')}`);
+}
+
+/**
+ * Generate the Atom and JSON feeds of artworks, newest first
+ */
+function generateFeeds(portfolioData) {
+    const { files, entryCount } = writeFeeds(portfolioData, {
+        siteUrl: BUILD_CONFIG.SITE_URL,
+        outputDir: projectRoot,
+        title: BUILD_CONFIG.SITE_TITLE,
+        author: BUILD_CONFIG.SITE_AUTHOR,
+        locale: BUILD_CONFIG.LOCALE
     });
     
-    sitemap += '\n</urlset>';
+    console.log(`📰 Feeds generated: ${entryCount} entries in ${files.join(', ')}`);
+}
+
+/**
+ * Prerender artwork/<ID>/index.html with each artwork's metadata baked in
+ */
+function generateArtworkPages(portfolioData) {
+    const count = writeArtworkPages(portfolioData, {
+        outputDir: projectRoot,
+        siteUrl: BUILD_CONFIG.SITE_URL,
+        siteTitle: BUILD_CONFIG.SITE_TITLE,
+        artist: BUILD_CONFIG.SITE_AUTHOR || BUILD_CONFIG.SITE_TITLE
+    });
     
-    const sitemapPath = path.join(projectRoot, 'sitemap.xml');
-    fs.writeFileSync(sitemapPath, sitemap, 'utf8');
+    console.log(`📄 Prerendered ${count} artwork pages in artwork/`);
+}
+
+/**
+ * Split portfolio data into data/index.json and per-collection shards for the site
+ */
+function generateShards(portfolioData) {
+    const { shardCount } = writeShards(portfolioData, {
+        dataDir: path.join(projectRoot, 'data'),
+        previewCount: BUILD_CONFIG.PREVIEW_COUNT
+    });
     
-    console.log(`🗺️  Sitemap generated: ${sitemapPath}`);
+    console.log(`🧩 Data index and ${shardCount} collection shards written to data/`);
+}
+
+/**
+ * Write data/search-index.json, the inverted index the gallery search queries
+ */
+function generateSearchIndex(portfolioData) {
+    const { schemaVersion, generatedAt } = portfolioData.meta;
+    const index = { meta: { schemaVersion, generatedAt }, ...buildSearchIndex(portfolioData) };
+    const outputPath = path.join(projectRoot, 'data', 'search-index.json');
+    fs.writeFileSync(outputPath, JSON.stringify(index), 'utf8');
+    
+    console.log(`🔎 Search index written: ${Object.keys(index.terms).length} terms over ${index.artworks.length} artworks`);
+}
+
+/**
+ * Write data/facets.json, the filter values of every artwork for the gallery's filter panel
+ */
+function generateFacets(portfolioData) {
+    const { schemaVersion, generatedAt } = portfolioData.meta;
+    const facets = buildFacets(portfolioData, {
+        priceRanges: BUILD_CONFIG.PRICE_RANGES,
+        locale: BUILD_CONFIG.LOCALE,
+        currency: BUILD_CONFIG.CURRENCY
+    });
+    const outputPath = path.join(projectRoot, 'data', 'facets.json');
+    fs.writeFileSync(outputPath, JSON.stringify({ meta: { schemaVersion, generatedAt }, ...facets }), 'utf8');
+    
+    const summary = facets.facets.map(facet => `${facet.values.length} ${facet.label.toLowerCase()}`).join(', ');
+    console.log(`🎛️  Filter facets written: ${summary}`);
+}
+
+/**
+ * Write the files generated from portfolio data: collection shards, search index,
+ * filter facets, sitemap, feeds and artwork pages
+ */
+function generateSiteFiles(portfolioData) {
+    generateShards(portfolioData);
+    generateSearchIndex(portfolioData);
+    generateFacets(portfolioData);
+    generateSitemap(portfolioData);
+    generateFeeds(portfolioData);
+    generateArtworkPages(portfolioData);
 }
 
 /**
@@ -624,51 +1586,108 @@ function generateSitemap(portfolioData) {
 function generateThumbnails() {
     console.log('\n🖼️  Generating thumbnails for fast loading...');
     
-    try {
-        const thumbnailScript = path.join(projectRoot, 'scripts', 'generate-thumbnails.sh');
-        
-        // Check if ImageMagick is available
-        try {
-            execSync('which magick', { stdio: 'ignore' });
-        } catch (error) {
-            console.log('⚠️  ImageMagick not found - skipping thumbnail generation');
-            console.log('💡 Install ImageMagick: brew install imagemagick');
-            return;
+    if (!hasImageMagick()) {
+        console.log('⚠️  ImageMagick not found - skipping thumbnail generation');
+        console.log('💡 Install ImageMagick: brew install imagemagick');
+        return;
+    }
+    
+    const { generated, skipped, failed, invalid } = writeThumbnails({ artworksDir: path.join(projectRoot, 'artworks') });
+    console.log(`✅ Thumbnails: ${generated.length} generated, ${skipped.length} up to date`);
+    if (failed.length > 0) {
+        console.log(`⚠️  ${failed.length} thumbnail(s) could not be created, continuing without them`);
+    }
+    
+    // LFS pointers and corrupt images (listed above) must not be published
+    if (invalid.length > 0) {
+        console.log('💡 Fetch the real images with: git lfs install && git lfs pull');
+        throw new BuildError('Thumbnail generation found artwork images that are not valid images');
+    }
+}
+
+/**
+ * Run the full metadata pipeline: portfolio.json, collection shards, sitemap, feeds, artwork pages and thumbnails.
+ * With dryRun the data is built and compared, but nothing is written
+ * (except the JSON change report to reportPath, when given).
+ * Returns { portfolioData, report }, or null when the inputs are unchanged.
+ * Errors are thrown to the caller.
+ */
+export async function runBuild({ force = false, dryRun = false, reportPath = null } = {}) {
+    // Re-read build.config.json so long-running callers pick up edits
+    BUILD_CONFIG = loadBuildConfig();
+    
+    const inputs = checkBuildInputs(force);
+    if (!inputs) {
+        // The shards, search index, facets, sitemap, feeds and artwork pages are not committed, so deploys write them from the existing data
+        if (hasExistingPortfolio() && !dryRun) {
+            const existingData = JSON.parse(fs.readFileSync(portfolioJsonPath, 'utf8'));
+            const mismatch = describeSchemaMismatch(existingData);
+            if (mismatch) {
+                throw new BuildError(mismatch);
+            }
+            // Deploys check out the images with Git LFS, so check them before publishing
+            assertValidArtworkImages(getAllArtworks(existingData));
+            generateSiteFiles(existingData);
+            generateThumbnails();
         }
-        
-        // Run thumbnail generation
-        execSync(`bash "${thumbnailScript}"`, { stdio: 'inherit' });
-        
-    } catch (error) {
-        console.log('⚠️  Thumbnail generation failed:', error.message);
-        console.log('💡 Continuing without thumbnails...');
+        return null;
+    }
+    
+    console.log('🎨 Building Art Portfolio Static...\n');
+    console.log(`📋 Configuration:
+   - Collection Order: ${BUILD_CONFIG.COLLECTION_ORDER}
+   - Artwork Order: ${BUILD_CONFIG.ARTWORK_ORDER}${describeRandomOrder()}
+   - Locale: ${BUILD_CONFIG.LOCALE} (default currency ${BUILD_CONFIG.CURRENCY})
+   - Dimensions: ${BUILD_CONFIG.DIMENSION_UNIT} when no unit is given, shown in ${BUILD_CONFIG.DISPLAY_UNIT}\n`);
+    
+    const portfolioData = await buildPortfolio();
+    assertValidPortfolio(portfolioData);
+    const report = reportPortfolioChanges(portfolioData, reportPath);
+    if (dryRun) {
+        console.log('\n🔍 Dry run - nothing was written');
+        return { portfolioData, report };
     }
+    
+    const artworkHashes = stampUpdatedAt(portfolioData, inputs);
+    writePortfolioData(portfolioData);
+    writeBuildManifest(inputs, artworkHashes);
+    generateSiteFiles(portfolioData);
+    generateThumbnails();
+    
+    return { portfolioData, report };
 }
 
 /**
  * Main build function
  */
 async function main() {
+    if (CHECK_ONLY) {
+        const valid = checkCSVData();
+        process.exit(valid ? 0 : 1);
+    }
+    
     try {
-        const portfolioData = await buildPortfolio();
-        writePortfolioData(portfolioData);
-        generateSitemap(portfolioData);
-        generateThumbnails();
+        const result = await runBuild({ force: FORCE_BUILD, dryRun: DRY_RUN, reportPath: REPORT_PATH });
+        if (!result || DRY_RUN) return;
         
         console.log('\n✨ Build completed successfully!');
         console.log('\n📋 Next steps:');
         console.log('   1. Add your artwork images to the artworks/ folder');
-        console.log('   2. Create corresponding .json metadata files');
+        console.log('   2. Add artworks/<ID>.json or .yaml sidecar files for long-form details');
         console.log('   3. Update config/collections.csv for custom ordering');
         console.log('   4. Run: npm run dev');
         console.log('   5. Open: http://localhost:8080');
         
     } catch (error) {
         console.error('\n❌ Build failed:', error.message);
-        console.error(error.stack);
+        if (!(error instanceof BuildError)) {
+            console.error(error.stack);
+        }
         process.exit(1);
     }
 }
 
-// Run the build
-main();
\ No newline at end of file
+// Run the build when executed directly (not when imported by the dev server)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main();
+}
@@ -0,0 +1,162 @@
+/**
+ * CSV Column Mapping Module
+ * Maps spreadsheet headers to artwork fields, with aliases and type coercion
+ */
+
+export const COLUMN_TYPES = ['string', 'boolean', 'number', 'list', 'date'];
+
+// Values read as true by boolean columns ("x" is the featured marker)
+const TRUE_VALUES = ['x', 'true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Default mapping of artwork fields to the inventory sheet headers.
+ * The second "Dimensions" header is read as "Dimensions_2" by the CSV parser.
+ */
+export const DEFAULT_COLUMNS = {
+    id: 'ID',
+    title: 'Title',
+    collection: 'Collection',
+    medium: 'Medium',
+    referenceImage: 'Reference-image',
+    pricing: 'Pricing',
+    dimensions: ['Dimensions', 'Dimensions_2'],
+    size: 'Size',
+    featured: { column: 'x', type: 'boolean' },
+    notes: 'Notes',
+    description: 'Extended description',
+    year: 'Year',
+    copyright: 'Copyright',
+    tags: { column: 'Tags', type: 'list' },
+    dateAdded: { column: 'Date added', type: 'date' },
+    order: { column: 'Order', type: 'number' }
+};
+
+/**
+ * Normalise one field's mapping to { columns, type, separator }.
+ * Accepts a header name, a list of aliases, or an object with
+ * column/columns, type and separator.
+ */
+function normaliseColumnSpec(field, spec) {
+    const options = typeof spec === 'string' || Array.isArray(spec) ? { column: spec } : spec;
+    const headers = [].concat(options.columns || options.column || []).filter(Boolean);
+
+    if (headers.length === 0) {
+        console.log(`⚠️ Column mapping for "${field}" names no column, ignoring it`);
+        return null;
+    }
+
+    let type = options.type || 'string';
+    if (!COLUMN_TYPES.includes(type)) {
+        console.log(`⚠️ Unknown column type "${type}" for "${field}", using string`);
+        type = 'string';
+    }
+
+    return { columns: headers, type, separator: options.separator || ',' };
+}
+
+/**
+ * Merge the "columns" section of build.config.json over the defaults.
+ * Mapping a field to null removes it.
+ */
+export function resolveColumnMapping(configColumns = {}) {
+    const merged = { ...DEFAULT_COLUMNS, ...configColumns };
+    const mapping = {};
+
+    Object.entries(merged).forEach(([field, spec]) => {
+        if (spec === null || spec === false) return;
+        const normalised = normaliseColumnSpec(field, spec);
+        if (normalised) mapping[field] = normalised;
+    });
+
+    return mapping;
+}
+
+/**
+ * Read the raw value of a mapped field: the first alias with a value
+ */
+export function readColumn(row, spec) {
+    if (!spec) return '';
+    const header = spec.columns.find(column => row[column]);
+    return header ? row[header] : '';
+}
+
+/**
+ * Check whether a raw value can be coerced to the column type
+ */
+export function isValidColumnValue(value, spec) {
+    if (!value) return true;
+    switch (spec.type) {
+        case 'boolean':
+            return [...TRUE_VALUES, ...FALSE_VALUES].includes(value.toLowerCase());
+        case 'number':
+            return !Number.isNaN(parseNumber(value));
+        case 'date':
+            return parseDate(value) !== null;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Parse a number, ignoring thousands separators and a leading currency symbol
+ */
+function parseNumber(value) {
+    const cleaned = value.replace(/[\s,]/g, '').replace(/^[^\d.-]+/, '');
+    return cleaned ? Number(cleaned) : NaN;
+}
+
+/**
+ * Parse a date such as 2024-03-01 or March 1, 2024 into YYYY-MM-DD, or null
+ */
+function parseDate(value) {
+    const iso = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ].*)?$/);
+    if (iso) return Number.isNaN(Date.parse(iso[1])) ? null : iso[1];
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Coerce a raw CSV value to the column type
+ */
+export function coerceColumnValue(value, spec) {
+    switch (spec.type) {
+        case 'boolean':
+            return TRUE_VALUES.includes((value || '').toLowerCase());
+        case 'number': {
+            const number = value ? parseNumber(value) : NaN;
+            return Number.isNaN(number) ? null : number;
+        }
+        case 'list':
+            return (value || '')
+                .split(spec.separator)
+                .map(item => item.trim())
+                .filter(item => item.length > 0);
+        case 'date':
+            return value ? parseDate(value) : null;
+        default:
+            return value || '';
+    }
+}
+
+/**
+ * Map a CSV row to artwork fields using the column mapping
+ */
+export function mapRow(row, mapping) {
+    const fields = {};
+    Object.entries(mapping).forEach(([field, spec]) => {
+        fields[field] = coerceColumnValue(readColumn(row, spec), spec);
+    });
+    return fields;
+}
+
+/**
+ * List the headers that no field is mapped to
+ */
+export function findUnmappedHeaders(headers, mapping) {
+    const mapped = new Set(Object.values(mapping).flatMap(spec => spec.columns));
+    return headers.filter(header => !mapped.has(header));
+}
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Development Server for Art Portfolio Static
+ * Serves the site, rebuilds portfolio data when inputs change and live-reloads open pages
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runBuild } from './build.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const LIVE_RELOAD_PATH = '/__livereload';
+
+// Directories to watch, and whether a change there requires a rebuild
+const WATCHED_DIRECTORIES = [
+    { dir: 'config', rebuild: true },
+    { dir: 'artworks', rebuild: true },
+    { dir: 'js', rebuild: false },
+    { dir: 'css', rebuild: false }
+];
+
+// Generated by the build itself, so changes here must not trigger another build
+const IGNORED_DIRECTORIES = ['artworks/thumbnails'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Open live-reload connections and the last build error shown to them
+const clients = new Set();
+let lastBuildError = null;
+
+// A change during a build queues exactly one follow-up build
+let building = false;
+let buildQueued = false;
+
+/**
+ * Client script injected into every HTML page.
+ * Reloads on 'reload' events and shows build errors as an overlay.
+ */
+const LIVE_RELOAD_SCRIPT = `
+<script>
+(function() {
+    var source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('reload', function() { location.reload(); });
+    source.addEventListener('build-error', function(event) {
+        var error = JSON.parse(event.data);
+        var overlay = document.getElementById('dev-build-error');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'dev-build-error';
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:99999;overflow:auto;padding:32px;' +
+                'background:rgba(20,20,20,0.92);color:#ff6b6b;font:14px/1.5 monospace;white-space:pre-wrap;';
+            overlay.addEventListener('click', function() { overlay.remove(); });
+            document.body.appendChild(overlay);
+        }
+        overlay.textContent = '❌ Build failed\\n\\n' + error.message + '\\n\\n' + (error.stack || '') +
+            '\\n\\n(click to dismiss - the page reloads after the next successful build)';
+    });
+})();
+</script>
+`;
+
+/**
+ * Send an event to every connected page
+ */
+function broadcast(event, data = {}) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => res.write(message));
+}
+
+/**
+ * Handle the live-reload event stream
+ */
+function handleLiveReload(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    clients.add(res);
+
+    // Pages opened after a failed build still need to see the error
+    if (lastBuildError) {
+        res.write(`event: build-error\ndata: ${JSON.stringify(lastBuildError)}\n\n`);
+    }
+
+    req.on('close', () => clients.delete(res));
+}
+
+/**
+ * Map a request URL to a file in the project, mirroring the deploy routes.
+ * Throws URIError for malformed percent-encoding.
+ */
+function resolveRequestPath(urlPath) {
+    let pathname = decodeURIComponent(urlPath.split('?')[0]);
+
+    // /artwork/:id is served by its prerendered page, or by artwork.html
+    // before the first build (see vercel.json and netlify.toml)
+    if (/^\/artwork\/[^/]+\/?$/.test(pathname)) {
+        const prerendered = path.join(projectRoot, pathname.replace(/\/?$/, '/index.html'));
+        pathname = fs.existsSync(prerendered) ? pathname.replace(/\/?$/, '/index.html') : '/artwork.html';
+    }
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const filePath = path.normalize(path.join(projectRoot, pathname));
+    // Refuse paths that escape the project root
+    if (!filePath.startsWith(projectRoot + path.sep)) return null;
+    return filePath;
+}
+
+/**
+ * Serve static files, injecting the live-reload script into HTML
+ */
+function handleRequest(req, res) {
+    if (req.url === LIVE_RELOAD_PATH) {
+        handleLiveReload(req, res);
+        return;
+    }
+
+    let filePath;
+    try {
+        filePath = resolveRequestPath(req.url);
+    } catch (error) {
+        // decodeURIComponent throws URIError on malformed escapes such as %E0%A4%A
+        if (!(error instanceof URIError)) throw error;
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const headers = {
+        'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    };
+
+    if (ext === '.html') {
+        const html = fs.readFileSync(filePath, 'utf8');
+        const injected = html.includes('</body>')
+            ? html.replace('</body>', `${LIVE_RELOAD_SCRIPT}</body>`)
+            : html + LIVE_RELOAD_SCRIPT;
+        res.writeHead(200, headers);
+        res.end(injected);
+        return;
+    }
+
+    res.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Run the build pipeline and notify open pages of the result
+ */
+async function rebuild() {
+    if (building) {
+        buildQueued = true;
+        return;
+    }
+
+    building = true;
+    try {
+        console.log('\n🔄 Rebuilding portfolio data...');
+        await runBuild();
+        lastBuildError = null;
+        broadcast('reload');
+    } catch (error) {
+        console.error('❌ Build failed:', error.message);
+        lastBuildError = { message: error.message, stack: error.stack };
+        broadcast('build-error', lastBuildError);
+    } finally {
+        building = false;
+    }
+
+    if (buildQueued) {
+        buildQueued = false;
+        await rebuild();
+    }
+}
+
+/**
+ * Collect a directory and its subdirectories, skipping ignored ones
+ */
+function listDirectories(dir) {
+    const relative = path.relative(projectRoot, dir);
+    if (IGNORED_DIRECTORIES.includes(relative)) return [];
+
+    const subdirectories = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(entry => listDirectories(path.join(dir, entry.name)));
+    return [dir, ...subdirectories];
+}
+
+/**
+ * Watch the source directories, debouncing bursts of changes
+ */
+function watchSources() {
+    let pendingRebuild = false;
+    let debounceTimer = null;
+
+    const onChange = (rebuildNeeded, file) => {
+        console.log(`👀 Changed: ${file}`);
+        pendingRebuild = pendingRebuild || rebuildNeeded;
+
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            if (pendingRebuild) {
+                rebuild();
+            } else {
+                broadcast('reload');
+            }
+            pendingRebuild = false;
+        }, 200);
+    };
+
+    WATCHED_DIRECTORIES.forEach(({ dir, rebuild: rebuildNeeded }) => {
+        const root = path.join(projectRoot, dir);
+        if (!fs.existsSync(root)) return;
+
+        listDirectories(root).forEach(watchedDir => {
+            fs.watch(watchedDir, (eventType, filename) => {
+                if (!filename) return;
+                onChange(rebuildNeeded, path.relative(projectRoot, path.join(watchedDir, filename)));
+            });
+        });
+    });
+
+    // build.config.json lives in the project root
+    const buildConfigPath = path.join(projectRoot, 'build.config.json');
+    if (fs.existsSync(buildConfigPath)) {
+        fs.watch(buildConfigPath, () => onChange(true, 'build.config.json'));
+    }
+
+    // HTML pages in the project root only need a reload, except artwork.html,
+    // the template of the prerendered artwork pages
+    fs.watch(projectRoot, (eventType, filename) => {
+        if (filename && filename.endsWith('.html')) {
+            onChange(filename === 'artwork.html', filename);
+        }
+    });
+}
+
+/**
+ * Start the development server
+ */
+async function main() {
+    await rebuild();
+
+    const server = http.createServer(handleRequest);
+    server.listen(PORT, () => {
+        watchSources();
+        console.log(`\n🚀 Dev server running at http://localhost:${PORT}`);
+        console.log(`👀 Watching ${WATCHED_DIRECTORIES.map(({ dir }) => `${dir}/`).join(', ')} and build.config.json`);
+    });
+}
+
+main();
@@ -0,0 +1,102 @@
+/**
+ * Portfolio Diff Module
+ * Compares newly built portfolio data with the previous data/portfolio.json,
+ * so a re-exported sheet can be reviewed before it goes live
+ */
+
+// Artwork fields compared between builds, with how to show their values
+const COMPARED_FIELDS = {
+    price: price => (price ? price.display : null),
+    available: value => value === true,
+    featured: value => value === true
+};
+
+/**
+ * Map every artwork in the portfolio data by ID
+ */
+function indexArtworks(portfolioData) {
+    const artworks = new Map();
+    Object.values((portfolioData && portfolioData.collections) || {}).forEach(collection => {
+        (collection.artworks || []).forEach(artwork => {
+            artworks.set(artwork.id, { ...artwork, collection: artwork.collection || collection.id });
+        });
+    });
+    return artworks;
+}
+
+/**
+ * Compare two portfolios. Returns
+ * { added, removed, moved, changed } where
+ * - added / removed: [{ id, title, collection }]
+ * - moved: [{ id, title, from, to }] for artworks in another collection
+ * - changed: [{ id, title, changes: [{ field, from, to }] }] for price,
+ *   availability and featured changes
+ */
+export function diffPortfolios(previousData, nextData) {
+    const previous = indexArtworks(previousData);
+    const next = indexArtworks(nextData);
+    const summary = artwork => ({ id: artwork.id, title: artwork.title, collection: artwork.collection });
+    const report = { added: [], removed: [], moved: [], changed: [] };
+
+    next.forEach((artwork, id) => {
+        const before = previous.get(id);
+        if (!before) {
+            report.added.push(summary(artwork));
+            return;
+        }
+
+        if (before.collection !== artwork.collection) {
+            report.moved.push({ id, title: artwork.title, from: before.collection, to: artwork.collection });
+        }
+
+        const changes = Object.entries(COMPARED_FIELDS)
+            .map(([field, value]) => ({ field, from: value(before[field]), to: value(artwork[field]) }))
+            .filter(({ from, to }) => from !== to);
+        if (changes.length > 0) {
+            report.changed.push({ id, title: artwork.title, changes });
+        }
+    });
+
+    previous.forEach((artwork, id) => {
+        if (!next.has(id)) report.removed.push(summary(artwork));
+    });
+
+    return report;
+}
+
+/**
+ * Count the entries in a report
+ */
+export function countChanges(report) {
+    return report.added.length + report.removed.length + report.moved.length + report.changed.length;
+}
+
+/**
+ * Show a compared value in the text report
+ */
+function formatValue(value) {
+    if (value === true) return 'yes';
+    if (value === false) return 'no';
+    return value === null || value === undefined || value === '' ? '(none)' : value;
+}
+
+/**
+ * Format a report as text lines for the build output
+ */
+export function formatDiffReport(report) {
+    const lines = [];
+    report.added.forEach(({ id, title, collection }) => {
+        lines.push(`+ ${id} "${title}" added to ${collection}`);
+    });
+    report.removed.forEach(({ id, title, collection }) => {
+        lines.push(`- ${id} "${title}" removed from ${collection}`);
+    });
+    report.moved.forEach(({ id, title, from, to }) => {
+        lines.push(`→ ${id} "${title}" moved from ${from} to ${to}`);
+    });
+    report.changed.forEach(({ id, title, changes }) => {
+        const details = changes.map(({ field, from, to }) => `${field} ${formatValue(from)} → ${formatValue(to)}`);
+        lines.push(`~ ${id} "${title}": ${details.join(', ')}`);
+    });
+    return lines;
+}
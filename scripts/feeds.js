@@ -0,0 +1,155 @@
+/**
+ * Feeds Module
+ * Writes feed.xml (Atom) and feed.json (JSON Feed) listing artworks newest first
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { escapeXml, absoluteUrl, artworkPagePath } from './sitemap.js';
+import { formatPrice } from '../js/pricing.js';
+import { getTagSlug, getTagLabel } from '../js/tags.js';
+
+/**
+ * Convert a date (YYYY-MM-DD or ISO timestamp) to an RFC 3339 timestamp, or null
+ */
+function toTimestamp(date) {
+    if (!date) return null;
+    const parsed = new Date(date);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Order artworks newest first. Artworks with a dateAdded come first, latest
+ * date first; the rest follow in reverse CSV order, as new rows are appended
+ * to the inventory sheet.
+ */
+export function orderByDateAdded(portfolioData) {
+    const artworks = Object.values(portfolioData.collections || {})
+        .flatMap(collection => collection.artworks || []);
+
+    const csvOrder = (portfolioData.meta && portfolioData.meta.csvOrder) || artworks.map(artwork => artwork.id);
+    const rowIndex = new Map(csvOrder.map((id, index) => [id, index]));
+    const position = artwork => (rowIndex.has(artwork.id) ? rowIndex.get(artwork.id) : -1);
+
+    return [...artworks].sort((a, b) => {
+        const dateA = toTimestamp(a.dateAdded);
+        const dateB = toTimestamp(b.dateAdded);
+        if (dateA && dateB && dateA !== dateB) return dateA < dateB ? 1 : -1;
+        if (dateA && !dateB) return -1;
+        if (!dateA && dateB) return 1;
+        return position(b) - position(a);
+    });
+}
+
+/**
+ * Collect the values shared by both feed formats for one artwork
+ */
+function buildEntry(artwork, siteUrl, locale) {
+    const url = `${siteUrl}/${artworkPagePath(artwork.id)}`;
+    const image = artwork.missingImage ? null : absoluteUrl(siteUrl, artwork.imageUrl);
+    const price = formatPrice(artwork.price, locale);
+
+    const contentHtml = [
+        image ? `<p><img src="${escapeXml(image)}" alt="${escapeXml(artwork.alt || artwork.title)}"></p>` : '',
+        artwork.description ? `<p>${escapeXml(artwork.description)}</p>` : '',
+        price ? `<p>${escapeXml(price)}</p>` : '',
+        `<p><a href="${escapeXml(url)}">View artwork</a></p>`
+    ].join('');
+
+    return {
+        id: artwork.id,
+        title: artwork.title,
+        url,
+        image,
+        summary: artwork.description || '',
+        contentHtml,
+        price,
+        tags: artwork.tags || [],
+        published: toTimestamp(artwork.dateAdded) || toTimestamp(artwork.updatedAt),
+        updated: toTimestamp(artwork.updatedAt) || toTimestamp(artwork.dateAdded)
+    };
+}
+
+/**
+ * Render the Atom feed
+ */
+function renderAtom(entries, { siteUrl, title, author, updated }) {
+    const renderEntry = entry => {
+        const lines = [
+            '  <entry>',
+            `    <id>${escapeXml(entry.url)}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`
+        ];
+        if (entry.image) lines.push(`    <link rel="enclosure" href="${escapeXml(entry.image)}"/>`);
+        if (entry.published) lines.push(`    <published>${entry.published}</published>`);
+        lines.push(`    <updated>${entry.updated || updated}</updated>`);
+        if (entry.summary) lines.push(`    <summary>${escapeXml(entry.summary)}</summary>`);
+        lines.push(`    <content type="html">${escapeXml(entry.contentHtml)}</content>`);
+        entry.tags.forEach(tag => {
+            lines.push(`    <category term="${escapeXml(getTagSlug(tag))}" label="${escapeXml(getTagLabel(tag))}"/>`);
+        });
+        lines.push('  </entry>');
+        return lines.join('\n');
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${siteUrl}/`)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/`)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}/feed.xml`)}"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(author)}</name></author>
+${entries.map(renderEntry).join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Render the JSON Feed (version 1.1)
+ */
+function renderJsonFeed(entries, { siteUrl, title, author }) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        home_page_url: `${siteUrl}/`,
+        feed_url: `${siteUrl}/feed.json`,
+        authors: [{ name: author }],
+        items: entries.map(entry => ({
+            id: entry.url,
+            url: entry.url,
+            title: entry.title,
+            content_html: entry.contentHtml,
+            summary: entry.summary || undefined,
+            image: entry.image || undefined,
+            date_published: entry.published || undefined,
+            date_modified: entry.updated || undefined,
+            tags: entry.tags.length > 0 ? entry.tags.map(getTagLabel) : undefined,
+            _price: entry.price ? { display: entry.price } : undefined
+        }))
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * Write feed.xml and feed.json to outputDir.
+ * Returns { files, entryCount }.
+ */
+export function writeFeeds(portfolioData, { siteUrl, outputDir, title, author, locale }) {
+    const baseUrl = siteUrl.replace(/\/+$/, '');
+    const entries = orderByDateAdded(portfolioData).map(artwork => buildEntry(artwork, baseUrl, locale));
+
+    const timestamps = entries.map(entry => entry.updated).filter(Boolean).sort();
+    const options = {
+        siteUrl: baseUrl,
+        title,
+        author: author || title,
+        updated: timestamps.length > 0 ? timestamps[timestamps.length - 1] : new Date().toISOString()
+    };
+
+    fs.writeFileSync(path.join(outputDir, 'feed.xml'), renderAtom(entries, options), 'utf8');
+    fs.writeFileSync(path.join(outputDir, 'feed.json'), renderJsonFeed(entries, options), 'utf8');
+
+    return { files: ['feed.xml', 'feed.json'], entryCount: entries.length };
+}
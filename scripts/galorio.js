@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+
+/**
+ * galorio - command line interface for Art Portfolio Static
+ * One entry point for setting up, checking and building the portfolio:
+ *
+ *   galorio init         Copy the example CSV files into config/
+ *   galorio validate     Check the CSV files and report problems by line number
+ *   galorio build        Generate portfolio.json, shards, sitemap, feeds, pages and thumbnails
+ *   galorio optimize     Make web versions of the originals in artworks-originals/
+ *   galorio thumbnails   Generate the collection preview thumbnails
+ *   galorio stats        Summarise the built portfolio
+ *   galorio migrate      Upgrade data/portfolio.json to the current schema version
+ *   galorio doctor       Check the environment (Node.js, ImageMagick, Git LFS, config)
+ *
+ * The build modules are imported only by the commands that need them, so
+ * `init` and `doctor` also work before `npm install`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+const MIN_NODE_VERSION = 18;
+
+// Packages the build needs at runtime
+const REQUIRED_PACKAGES = ['exifr', 'yaml'];
+
+// Example files copied by `init`, and where they go
+const EXAMPLE_FILES = [
+    { example: 'config/artwork-inventory.example.csv', target: 'config/artwork-inventory.csv' },
+    { example: 'config/collections.example.csv', target: 'config/collections.csv' }
+];
+
+const USAGE = `Usage: galorio <command> [options]
+
+Commands:
+  init          Copy the example CSV files into config/ (existing files are kept)
+  validate      Check the CSV files and report problems by line number
+  build         Generate portfolio.json, shards, sitemap, feeds, artwork pages and thumbnails
+  optimize      Make web versions (max 1200px) of artworks-originals/ in artworks/, then thumbnails
+  thumbnails    Generate missing or outdated thumbnails in artworks/thumbnails/
+  stats         Summarise data/portfolio.json
+  migrate       Upgrade data/portfolio.json written by an older build to the current schema
+  doctor        Check Node.js, dependencies, ImageMagick, Git LFS and the config files
+
+Options:
+  --config <file>  Build configuration to use (default: build.config.json)
+  --force          build: rebuild even when no input changed
+                   optimize, thumbnails: regenerate every image
+                   init: overwrite existing CSV files
+  --dry-run        build, migrate: print what would change without writing anything
+  --report <file>  build: also write the change report as JSON
+  --quiet          Only print errors
+  --json           Print the result as JSON (implies --quiet)
+  --help           Show this help
+  --version        Show the version`;
+
+/**
+ * Error for an expected failure (missing file, missing tool), reported without a stack trace
+ */
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+/**
+ * Error for invalid command line usage, reported with the usage text
+ */
+class UsageError extends CliError {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse the command line into { command, options }
+ */
+function parseArgs(args) {
+    const options = {
+        config: null, report: null, force: false, dryRun: false,
+        quiet: false, json: false, help: false, version: false
+    };
+    let command = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [name, inlineValue] = arg.split(/=(.*)/s);
+        if (name === '--config' || name === '--report') {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (!value) throw new UsageError(`${name} needs a file path`);
+            options[name.slice(2)] = value;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--quiet' || arg === '-q') {
+            options.quiet = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--version' || arg === '-v') {
+            options.version = true;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else if (!command) {
+            command = arg;
+        } else {
+            throw new UsageError(`Unexpected argument ${arg}`);
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * Silence progress output, which the build modules write with console.log.
+ * With --json errors are part of the JSON result, so they are silenced too.
+ */
+function silenceOutput({ json }) {
+    const noop = () => {};
+    console.log = noop;
+    console.info = noop;
+    if (json) {
+        console.warn = noop;
+        console.error = noop;
+    }
+}
+
+/**
+ * Load the build modules, which need the npm dependencies
+ */
+async function loadBuild(options) {
+    const build = await import('./build.js');
+    if (options.config) {
+        const configPath = path.resolve(options.config);
+        if (!fs.existsSync(configPath)) {
+            throw new CliError(`Config file not found: ${options.config}`);
+        }
+        build.setBuildConfigPath(configPath);
+    }
+    return build;
+}
+
+/**
+ * galorio init: copy the example CSV files into config/
+ */
+async function init(options) {
+    const created = [];
+    const skipped = [];
+
+    EXAMPLE_FILES.forEach(({ example, target }) => {
+        const examplePath = path.join(projectRoot, example);
+        const targetPath = path.join(projectRoot, target);
+        if (!fs.existsSync(examplePath)) {
+            throw new CliError(`${example} not found. Are you in the portfolio project?`);
+        }
+        if (fs.existsSync(targetPath) && !options.force) {
+            console.log(`📋 ${target} already exists (use --force to overwrite)`);
+            skipped.push(target);
+            return;
+        }
+        fs.copyFileSync(examplePath, targetPath);
+        console.log(`📋 Copied ${example} → ${target}`);
+        created.push(target);
+    });
+
+    fs.mkdirSync(path.join(projectRoot, 'artworks'), { recursive: true });
+
+    console.log('\n✅ Setup complete!');
+    console.log('\n📝 Next steps:');
+    console.log('   1. Edit config/artwork-inventory.csv with your artwork data');
+    console.log('   2. Edit config/collections.csv with your collection info');
+    console.log('   3. Add your artwork images to the artworks/ folder');
+    console.log('   4. Run: galorio build');
+    console.log('   5. Run: npm run dev');
+
+    return { ok: true, created, skipped };
+}
+
+/**
+ * galorio validate: check the CSV files without building
+ */
+async function validate(options) {
+    const { validateCSVData, reportCSVProblems } = await loadBuild(options);
+
+    console.log('🔎 Checking CSV data...\n');
+    const { files, problems } = validateCSVData();
+    reportCSVProblems(problems);
+
+    return { ok: problems.length === 0, files, problems };
+}
+
+/**
+ * galorio build: run the metadata pipeline, or compare without writing with --dry-run
+ */
+async function build(options) {
+    const { runBuild } = await loadBuild(options);
+    const result = await runBuild({ force: options.force, dryRun: options.dryRun, reportPath: options.report });
+
+    if (!result) {
+        return { ok: true, built: false, dryRun: options.dryRun };
+    }
+
+    if (!options.dryRun) {
+        console.log('\n✨ Build completed successfully!');
+    }
+    const { totalArtworks, collectionsCount, featuredCount, missingImages } = result.portfolioData.meta;
+    return {
+        ok: true,
+        built: !options.dryRun,
+        dryRun: options.dryRun,
+        totalArtworks,
+        collectionsCount,
+        featuredCount,
+        missingImages,
+        changes: result.report
+    };
+}
+
+/**
+ * galorio thumbnails: generate the collection preview thumbnails
+ */
+async function thumbnails(options) {
+    const { generateThumbnails, hasImageMagick } = await import('./thumbnails.js');
+
+    if (!hasImageMagick()) {
+        throw new CliError('ImageMagick not found. Install it with: brew install imagemagick (macOS) or sudo apt-get install imagemagick (Ubuntu)');
+    }
+
+    console.log('🖼️  Generating collection preview thumbnails...');
+    const result = generateThumbnails({ artworksDir: path.join(projectRoot, 'artworks'), force: options.force });
+
+    console.log(`\n✅ ${result.generated.length} generated, ${result.skipped.length} up to date`);
+    if (result.failed.length > 0) {
+        console.log(`⚠️  ${result.failed.length} could not be created: ${result.failed.join(', ')}`);
+    }
+    if (result.invalid.length > 0) {
+        console.log(`❌ ${result.invalid.length} artwork image(s) are not valid images`);
+        console.log('💡 Fetch the real images with: git lfs install && git lfs pull');
+    }
+
+    return { ok: result.invalid.length === 0 && result.failed.length === 0, ...result };
+}
+
+/**
+ * galorio optimize: make web versions of the high-resolution originals, then their thumbnails
+ */
+async function optimize(options) {
+    const { optimizeImages } = await import('./optimize.js');
+    const { hasImageMagick } = await import('./thumbnails.js');
+
+    if (!hasImageMagick()) {
+        throw new CliError('ImageMagick not found. Install it with: brew install imagemagick (macOS) or sudo apt-get install imagemagick (Ubuntu)');
+    }
+
+    const originalsDir = path.join(projectRoot, 'artworks-originals');
+    if (!fs.existsSync(originalsDir)) {
+        fs.mkdirSync(originalsDir, { recursive: true });
+        console.log('📁 Created artworks-originals/ - place your high-resolution originals there (not tracked by git)');
+        return { ok: true, generated: [], skipped: [], failed: [], thumbnails: null };
+    }
+
+    console.log('🎨 Optimizing originals from artworks-originals/...');
+    const result = optimizeImages({ originalsDir, artworksDir: path.join(projectRoot, 'artworks'), force: options.force });
+    console.log(`\n✅ ${result.generated.length} optimized, ${result.skipped.length} up to date`);
+    if (result.failed.length > 0) {
+        console.log(`⚠️  ${result.failed.length} could not be optimized: ${result.failed.join(', ')}`);
+    }
+
+    console.log('');
+    const thumbnailResult = await thumbnails(options);
+    return { ...result, ok: result.failed.length === 0 && thumbnailResult.ok, thumbnails: thumbnailResult };
+}
+
+/**
+ * galorio migrate: upgrade data/portfolio.json to the current schema version
+ */
+async function migrate(options) {
+    const { migratePortfolioFile } = await loadBuild(options);
+    const { from, to, steps, errors } = migratePortfolioFile({ dryRun: options.dryRun });
+    return {
+        ok: errors.length === 0,
+        from,
+        to,
+        migrated: steps.length > 0 && !options.dryRun && errors.length === 0,
+        steps,
+        errors
+    };
+}
+
+/**
+ * Summarise the portfolio data: counts by collection, price status and completeness
+ */
+function collectStats(portfolioData) {
+    const collections = Object.values(portfolioData.collections || {});
+    const artworks = collections.flatMap(collection => collection.artworks || []);
+    const count = predicate => artworks.filter(predicate).length;
+    const priceStatus = status => count(artwork => artwork.price && artwork.price.status === status);
+
+    return {
+        generatedAt: (portfolioData.meta && portfolioData.meta.generatedAt) || null,
+        artworks: artworks.length,
+        collections: collections.map(collection => ({
+            id: collection.id,
+            name: collection.name,
+            artworks: (collection.artworks || []).length
+        })),
+        featured: count(artwork => artwork.featured === true),
+        forSale: priceStatus('for-sale'),
+        sold: priceStatus('sold'),
+        notForSale: priceStatus('not-for-sale'),
+        images: artworks.reduce((total, artwork) => total + (artwork.images ? artwork.images.length : 1), 0),
+        missingImages: count(artwork => artwork.missingImage),
+        missingDescriptions: count(artwork => !artwork.description),
+        missingDimensions: count(artwork => !artwork.dimensions),
+        tags: ((portfolioData.meta && portfolioData.meta.tags) || []).length
+    };
+}
+
+/**
+ * galorio stats: summarise data/portfolio.json
+ */
+async function stats() {
+    const portfolioPath = path.join(projectRoot, 'data', 'portfolio.json');
+    if (!fs.existsSync(portfolioPath)) {
+        throw new CliError('data/portfolio.json not found. Run: galorio build');
+    }
+
+    const result = collectStats(JSON.parse(fs.readFileSync(portfolioPath, 'utf8')));
+
+    console.log(`📊 Portfolio built ${result.generatedAt || 'at an unknown time'}`);
+    console.log(`   - ${result.artworks} artworks in ${result.collections.length} collections`);
+    result.collections.forEach(collection => {
+        console.log(`     · ${collection.name} (${collection.id}): ${collection.artworks}`);
+    });
+    console.log(`   - ${result.featured} featured`);
+    console.log(`   - ${result.forSale} for sale, ${result.sold} sold, ${result.notForSale} not for sale`);
+    console.log(`   - ${result.images} images, ${result.missingImages} artworks missing an image`);
+    console.log(`   - ${result.missingDescriptions} without a description, ${result.missingDimensions} without dimensions`);
+    console.log(`   - ${result.tags} tags`);
+
+    return { ok: true, ...result };
+}
+
+/**
+ * Run a command, returning its trimmed output or null when it fails
+ */
+function tryCommand(command, args) {
+    try {
+        return execFileSync(command, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Environment checks for `doctor`. Each returns { name, status, message, hint? }
+ * where status is 'ok', 'warning' or 'error'.
+ */
+async function runDoctorChecks(options) {
+    const checks = [];
+    const check = (name, status, message, hint) => checks.push({ name, status, message, ...(hint ? { hint } : {}) });
+
+    const nodeMajor = parseInt(process.versions.node, 10);
+    check('node', nodeMajor >= MIN_NODE_VERSION ? 'ok' : 'error', `Node.js ${process.versions.node}`,
+        nodeMajor >= MIN_NODE_VERSION ? null : `Node.js ${MIN_NODE_VERSION} or newer is required`);
+
+    const missingPackages = REQUIRED_PACKAGES.filter(name => !fs.existsSync(path.join(projectRoot, 'node_modules', name)));
+    check('dependencies', missingPackages.length === 0 ? 'ok' : 'error',
+        missingPackages.length === 0 ? 'npm dependencies installed' : `Missing packages: ${missingPackages.join(', ')}`,
+        missingPackages.length === 0 ? null : 'Run: npm install');
+
+    const magick = tryCommand('magick', ['-version']);
+    check('imagemagick', magick ? 'ok' : 'warning',
+        magick ? magick.split('\n')[0].replace(/^Version: /, '') : 'ImageMagick not found, thumbnails are skipped',
+        magick ? null : 'Install with: brew install imagemagick (macOS) or sudo apt-get install imagemagick (Ubuntu)');
+
+    const lfs = tryCommand('git', ['lfs', 'version']);
+    check('git-lfs', lfs ? 'ok' : 'warning', lfs || 'Git LFS not found',
+        lfs ? null : 'Install Git LFS (https://git-lfs.com) to fetch the artwork images');
+
+    // Pointer files mean the LFS images were never downloaded
+    const artworksDir = path.join(projectRoot, 'artworks');
+    if (missingPackages.length === 0 && fs.existsSync(artworksDir)) {
+        const { isLFSPointer } = await import('./images.js');
+        const pointers = fs.readdirSync(artworksDir)
+            .filter(file => fs.statSync(path.join(artworksDir, file)).isFile())
+            .filter(file => isLFSPointer(fs.readFileSync(path.join(artworksDir, file))));
+        check('lfs-images', pointers.length === 0 ? 'ok' : 'error',
+            pointers.length === 0 ? 'No Git LFS pointer files in artworks/' : `${pointers.length} image(s) are Git LFS pointers: ${pointers.join(', ')}`,
+            pointers.length === 0 ? null : 'Run: git lfs install && git lfs pull');
+    }
+
+    const configPath = path.resolve(options.config || path.join(projectRoot, 'build.config.json'));
+    const configName = path.relative(process.cwd(), configPath);
+    if (!fs.existsSync(configPath)) {
+        check('config', options.config ? 'error' : 'warning', `${configName} not found, using the default settings`);
+    } else {
+        try {
+            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            check('config', 'ok', `${configName} is valid JSON`);
+            const siteUrlSet = config.siteUrl && config.siteUrl !== 'https://your-domain.com';
+            check('site-url', siteUrlSet ? 'ok' : 'warning',
+                siteUrlSet ? `siteUrl is ${config.siteUrl}` : 'siteUrl is not set, the sitemap and feeds use https://your-domain.com',
+                siteUrlSet ? null : `Set siteUrl in ${configName}`);
+        } catch (error) {
+            check('config', 'error', `${configName} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    EXAMPLE_FILES.forEach(({ target }) => {
+        const exists = fs.existsSync(path.join(projectRoot, target));
+        check(target, exists ? 'ok' : 'warning', exists ? `${target} found` : `${target} not found`,
+            exists ? null : 'Run: galorio init');
+    });
+
+    return checks;
+}
+
+/**
+ * galorio doctor: check the environment
+ */
+async function doctor(options) {
+    const icons = { ok: '✅', warning: '⚠️ ', error: '❌' };
+
+    console.log('🩺 Checking the environment...\n');
+    const checks = await runDoctorChecks(options);
+    checks.forEach(({ status, message, hint }) => {
+        console.log(`${icons[status]} ${message}`);
+        if (hint) console.log(`   💡 ${hint}`);
+    });
+
+    const errors = checks.filter(({ status }) => status === 'error').length;
+    const warnings = checks.filter(({ status }) => status === 'warning').length;
+    console.log(`\n${errors === 0 ? '✅' : '❌'} ${errors} error(s), ${warnings} warning(s)`);
+
+    return { ok: errors === 0, checks };
+}
+
+const COMMANDS = { init, validate, build, optimize, thumbnails, stats, migrate, doctor };
+
+/**
+ * Main CLI function
+ */
+async function main() {
+    let options = { json: false, quiet: false };
+    let command = null;
+
+    try {
+        ({ command, options } = parseArgs(process.argv.slice(2)));
+
+        if (options.version) {
+            const { version } = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+            process.stdout.write(`${version}\n`);
+            return;
+        }
+        if (options.help || !command) {
+            process.stdout.write(`${USAGE}\n`);
+            if (!command && !options.help) process.exitCode = 1;
+            return;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        if (options.quiet || options.json) {
+            silenceOutput(options);
+        }
+
+        const result = await COMMANDS[command](options);
+        if (options.json) {
+            process.stdout.write(`${JSON.stringify({ command, ...result }, null, 2)}\n`);
+        }
+        if (!result.ok) process.exitCode = 1;
+
+    } catch (error) {
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+        if (options.json) {
+            process.stdout.write(`${JSON.stringify({ command, ok: false, error: error.message }, null, 2)}\n`);
+            return;
+        }
+        process.stderr.write(`❌ ${error.message}\n`);
+        if (error instanceof UsageError) {
+            process.stderr.write(`\n${USAGE}\n`);
+        } else if (!(error instanceof CliError) && error.name !== 'BuildError') {
+            process.stderr.write(`${error.stack}\n`);
+        }
+    }
+}
+
+main();
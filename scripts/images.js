@@ -0,0 +1,256 @@
+/**
+ * Image File Module
+ * Inspects artwork image files: format detection, Git LFS pointers, truncation,
+ * pixel dimensions and embedded EXIF/IPTC/XMP metadata
+ */
+
+import fs from 'fs';
+import exifr from 'exifr';
+
+const LFS_POINTER_PREFIX = 'version https://git-lfs.github.com/spec/';
+
+// How far from the end of a file to look for the format's end marker
+const TAIL_SCAN_BYTES = 1024;
+
+/**
+ * Detect the image format from a file's leading bytes
+ */
+export function detectImageFormat(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') {
+        return 'png';
+    }
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+        return 'gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (/<svg[\s>]/.test(buffer.toString('utf8', 0, Math.min(buffer.length, 4096)))) {
+        return 'svg';
+    }
+    return null;
+}
+
+/**
+ * Check whether a buffer is a Git LFS pointer file rather than the real content
+ */
+export function isLFSPointer(buffer) {
+    return buffer.length < 1024 && buffer.toString('utf8').startsWith(LFS_POINTER_PREFIX);
+}
+
+/**
+ * Check that a file of a known format is complete (has its end marker)
+ */
+function isComplete(buffer, format) {
+    const tail = buffer.subarray(Math.max(0, buffer.length - TAIL_SCAN_BYTES));
+
+    switch (format) {
+        case 'jpeg':
+            // End of image marker
+            return tail.includes(Buffer.from([0xFF, 0xD9]));
+        case 'png':
+            return tail.includes(Buffer.from('IEND', 'latin1'));
+        case 'gif':
+            // Trailer byte
+            return tail.includes(0x3B);
+        case 'webp':
+            // RIFF chunk size excludes the 8-byte RIFF header
+            return buffer.length >= buffer.readUInt32LE(4) + 8;
+        case 'svg':
+            return buffer.toString('utf8').includes('</svg>');
+        default:
+            return true;
+    }
+}
+
+/**
+ * Inspect an image file.
+ * Returns { ok: true, format } or { ok: false, reason }.
+ */
+export function inspectImageFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (buffer.length === 0) {
+        return { ok: false, reason: 'empty file' };
+    }
+
+    if (isLFSPointer(buffer)) {
+        const sizeMatch = buffer.toString('utf8').match(/^size (\d+)$/m);
+        const expected = sizeMatch ? ` of a ${sizeMatch[1]}-byte file` : '';
+        return { ok: false, reason: `Git LFS pointer${expected}, not the image (LFS smudge did not run)` };
+    }
+
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        return { ok: false, reason: 'invalid image header (not a JPEG, PNG, GIF, WebP or SVG file)' };
+    }
+
+    if (!isComplete(buffer, format)) {
+        return { ok: false, reason: `truncated ${format.toUpperCase()} file (${buffer.length} bytes, no end marker)` };
+    }
+
+    return { ok: true, format };
+}
+
+// Formats exifr can read metadata from
+const METADATA_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Where each artwork field is read from, in order of preference
+const METADATA_SOURCES = {
+    title: [['xmp', 'dc', 'title'], ['iptc', 'iptc', 'ObjectName']],
+    description: [['xmp', 'dc', 'description'], ['iptc', 'iptc', 'Caption'], ['exif', 'ifd0', 'ImageDescription']],
+    keywords: [['xmp', 'dc', 'subject'], ['iptc', 'iptc', 'Keywords']],
+    copyright: [['xmp', 'dc', 'rights'], ['iptc', 'iptc', 'CopyrightNotice'], ['exif', 'ifd0', 'Copyright']],
+    year: [['xmp', 'photoshop', 'DateCreated'], ['iptc', 'iptc', 'DateCreated'], ['exif', 'exif', 'DateTimeOriginal']]
+};
+
+const SOURCE_LABELS = { xmp: 'XMP', iptc: 'IPTC', exif: 'EXIF' };
+
+/**
+ * Reduce an XMP language alternative, list or plain value to text
+ */
+function textValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+        return value.map(textValue).filter(Boolean).join(', ');
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return textValue(value.value);
+    return String(value).trim();
+}
+
+/**
+ * Normalise a field value read from the image
+ */
+function normaliseField(field, value) {
+    switch (field) {
+        case 'keywords': {
+            const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+            return list.map(textValue).filter(Boolean);
+        }
+        case 'year': {
+            if (value instanceof Date) return String(value.getUTCFullYear());
+            const match = textValue(value).match(/\b(\d{4})/);
+            return match ? match[1] : '';
+        }
+        default:
+            return textValue(value);
+    }
+}
+
+/**
+ * Read title, description, keywords, copyright and year from an image's
+ * embedded metadata. Returns { fields, sources } where sources names the
+ * tag each field came from, e.g. { title: 'XMP dc:title' }.
+ */
+export async function readImageMetadata(filePath) {
+    const format = detectImageFormat(fs.readFileSync(filePath));
+    if (!METADATA_FORMATS.includes(format)) {
+        return { fields: {}, sources: {} };
+    }
+
+    const segments = await exifr.parse(filePath, {
+        tiff: true,
+        exif: true,
+        iptc: true,
+        xmp: true,
+        mergeOutput: false
+    }) || {};
+
+    const fields = {};
+    const sources = {};
+    Object.entries(METADATA_SOURCES).forEach(([field, candidates]) => {
+        for (const [kind, block, tag] of candidates) {
+            const raw = segments[block] && segments[block][tag];
+            if (raw === undefined || raw === null) continue;
+
+            const value = normaliseField(field, raw);
+            if (value.length === 0) continue;
+
+            fields[field] = value;
+            sources[field] = `${SOURCE_LABELS[kind]} ${kind === 'xmp' ? `${block}:${tag}` : tag}`;
+            break;
+        }
+    });
+
+    return { fields, sources };
+}
+
+/**
+ * Find the pixel size of a JPEG from its start-of-frame segment
+ */
+function jpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Find the pixel size of a WebP image from its first chunk
+ */
+function webpDimensions(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Find the size of an SVG from its width/height attributes or viewBox
+ */
+function svgDimensions(buffer) {
+    const tag = (buffer.toString('utf8').match(/<svg[^>]*>/) || [''])[0];
+    const attribute = name => {
+        const match = tag.match(new RegExp(`\\s${name}="\\s*([\\d.]+)(?:px)?\\s*"`));
+        return match ? Math.round(parseFloat(match[1])) : null;
+    };
+
+    const width = attribute('width');
+    const height = attribute('height');
+    if (width && height) return { width, height };
+
+    const viewBox = tag.match(/viewBox="\s*[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*"/);
+    return viewBox ? { width: Math.round(parseFloat(viewBox[1])), height: Math.round(parseFloat(viewBox[2])) } : null;
+}
+
+/**
+ * Read an image's pixel dimensions from its header.
+ * Returns { width, height } or null when they cannot be determined.
+ */
+export function readImageDimensions(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    switch (detectImageFormat(buffer)) {
+        case 'jpeg':
+            return jpegDimensions(buffer);
+        case 'png':
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case 'gif':
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case 'webp':
+            return webpDimensions(buffer);
+        case 'svg':
+            return svgDimensions(buffer);
+        default:
+            return null;
+    }
+}
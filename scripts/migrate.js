@@ -0,0 +1,170 @@
+/**
+ * Migration Module
+ * Upgrades portfolio.json files written by older builds to the current
+ * schema version, one version at a time
+ */
+
+import { parsePricing } from '../js/pricing.js';
+import { parseDimensions } from '../js/dimensions.js';
+import { slugifyTag } from '../js/tags.js';
+import { PORTFOLIO_SCHEMA_VERSION, getSchemaVersion } from '../js/portfolio-schema.js';
+
+// Written at the top of portfolio.json, relative to data/
+export const PORTFOLIO_SCHEMA_REF = './portfolio.schema.json';
+
+/**
+ * Structured dimensions from a plain-text legacy value
+ */
+function migrateDimensions(dimensions, defaultUnit) {
+    if (dimensions && typeof dimensions === 'object') return dimensions;
+    const display = String(dimensions || '').trim();
+    if (!display) return null;
+
+    const parsed = parseDimensions(display, { defaultUnit });
+    return parsed
+        ? { ...parsed, display }
+        : { width: null, height: null, depth: null, unit: null, display };
+}
+
+// Words legacy builds generated tags from (before the Tags column)
+const LEGACY_TAG_STOPWORDS = ['the', 'and', 'for', 'with'];
+const LEGACY_TAG_KEYWORDS = ['spiritual', 'awakening', 'freedom', 'power', 'energy', 'movement', 'transition', 'patterns'];
+
+/**
+ * Tags a legacy build generated from an artwork's title and description:
+ * title words longer than three letters and a fixed list of description keywords
+ */
+function legacyGeneratedTags(title, description) {
+    const tags = new Set();
+    String(title || '').toLowerCase().split(/\s+/)
+        .filter(word => word.length > 3 && !LEGACY_TAG_STOPWORDS.includes(word))
+        .forEach(word => tags.add(word));
+    const text = String(description || '').toLowerCase();
+    LEGACY_TAG_KEYWORDS.filter(keyword => text.includes(keyword)).forEach(keyword => tags.add(keyword));
+    return tags;
+}
+
+/**
+ * Bring a legacy artwork to the version 1 shape.
+ * Generated tags are dropped, since tags now only come from the Tags column,
+ * and updatedAt is the legacy build's date, so feeds and the sitemap get stable dates.
+ */
+function migrateLegacyArtwork(artwork, collectionId, options) {
+    // Legacy files have the Pricing cell in "pricing", "price" or both
+    const pricingText = [artwork.pricing, artwork.price].find(value => typeof value === 'string') || '';
+    const price = artwork.price && typeof artwork.price === 'object'
+        ? artwork.price
+        : parsePricing(pricingText, { defaultCurrency: options.currency });
+    const filename = artwork.filename || `${artwork.id}.jpg`;
+    const imageUrl = artwork.imageUrl || `./artworks/${filename}`;
+    const generatedTags = legacyGeneratedTags(artwork.title, artwork.description);
+
+    return {
+        ...artwork,
+        id: String(artwork.id),
+        title: artwork.title || '',
+        collection: artwork.collection || collectionId,
+        medium: artwork.medium || '',
+        year: artwork.year === undefined || artwork.year === null ? '' : artwork.year,
+        description: artwork.description || '',
+        pricing: pricingText,
+        dimensions: migrateDimensions(artwork.dimensions, options.dimensionUnit),
+        price,
+        available: typeof artwork.available === 'boolean' ? artwork.available : !!price && price.status === 'for-sale',
+        featured: artwork.featured === true,
+        tags: (artwork.tags || [])
+            .filter(tag => typeof tag !== 'string' || !generatedTags.has(tag))
+            .map(tag => (typeof tag === 'string' ? { slug: slugifyTag(tag), label: tag.trim() } : tag))
+            .filter(tag => tag.slug),
+        filename,
+        imageUrl,
+        images: artwork.images || (artwork.missingImage ? [] : [{ url: imageUrl, filename, kind: 'main' }]),
+        updatedAt: artwork.updatedAt || options.generatedAt
+    };
+}
+
+/**
+ * Version 0 (before versioning) → 1: nests flat artwork arrays in collections
+ * and structures prices, dimensions and tags
+ */
+function migrateLegacy(data, options) {
+    let collections = data.collections;
+    const generatedAt = (data.meta && data.meta.generatedAt) || new Date().toISOString();
+    const artworkOptions = { ...options, generatedAt };
+
+    if (!collections) {
+        // Flat { artworks: [...] } or a bare array, grouped by the artworks' collection
+        collections = {};
+        (Array.isArray(data) ? data : data.artworks || []).forEach(artwork => {
+            const id = artwork.collection || 'uncategorized';
+            if (!collections[id]) {
+                collections[id] = { id, name: id, description: '', notes: '', artworks: [] };
+            }
+            collections[id].artworks.push(artwork);
+        });
+    }
+
+    const migrated = {};
+    Object.entries(collections).forEach(([id, collection]) => {
+        migrated[id] = {
+            ...collection,
+            id: collection.id || id,
+            name: collection.name || id,
+            artworks: (collection.artworks || []).map(artwork => migrateLegacyArtwork(artwork, id, artworkOptions))
+        };
+    });
+
+    const artworks = Object.values(migrated).flatMap(collection => collection.artworks);
+    return {
+        collections: migrated,
+        meta: {
+            ...(Array.isArray(data) ? {} : data.meta),
+            generatedAt,
+            totalArtworks: artworks.length,
+            collectionsCount: Object.keys(migrated).length,
+            featuredCount: artworks.filter(artwork => artwork.featured).length,
+            missingImages: artworks.filter(artwork => artwork.missingImage).length
+        }
+    };
+}
+
+// Upgrades from each version to the next
+const MIGRATIONS = {
+    0: { description: 'Nest artworks in collections and structure prices, dimensions and tags; drop generated tags, add images and updatedAt', migrate: migrateLegacy }
+};
+
+/**
+ * Upgrade portfolio data to the current schema version.
+ * options.currency and options.dimensionUnit are used for legacy values without one.
+ * Returns { data, from, to, steps } where steps describes each migration applied.
+ * Throws for versions newer than this build or unknown to it.
+ */
+export function migratePortfolio(data, options = {}) {
+    const from = getSchemaVersion(data);
+    if (!Number.isInteger(from) || from > PORTFOLIO_SCHEMA_VERSION) {
+        throw new Error(`portfolio.json has schema version ${JSON.stringify(from)}, which this build ` +
+            `(version ${PORTFOLIO_SCHEMA_VERSION}) can't migrate`);
+    }
+
+    let migrated = data;
+    const steps = [];
+    for (let version = from; version < PORTFOLIO_SCHEMA_VERSION; version++) {
+        const { description, migrate } = MIGRATIONS[version];
+        migrated = migrate(migrated, options);
+        steps.push(`${version} → ${version + 1}: ${description}`);
+    }
+
+    // $schema and meta.schemaVersion go first, so they are easy to spot in the file
+    const { $schema, meta = {}, ...rest } = migrated;
+    const { schemaVersion, ...metaFields } = meta;
+    return {
+        data: {
+            $schema: PORTFOLIO_SCHEMA_REF,
+            ...rest,
+            meta: { schemaVersion: PORTFOLIO_SCHEMA_VERSION, ...metaFields }
+        },
+        from,
+        to: PORTFOLIO_SCHEMA_VERSION,
+        steps
+    };
+}
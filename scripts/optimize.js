@@ -0,0 +1,69 @@
+/**
+ * Optimize Module
+ * Converts the high-resolution originals in artworks-originals/ into the
+ * web-optimized JPEGs in artworks/ with ImageMagick. The originals stay out
+ * of git; the thumbnails are made from the web versions by scripts/thumbnails.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+export const WEB_MAX_SIZE = 1200;
+export const WEB_QUALITY = 85;
+
+const ORIGINAL_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.webp', '.heic', '.psd'];
+
+/**
+ * Web version path for an original: <name>.jpg
+ */
+export function webFileName(file) {
+    return `${path.parse(file).name}.jpg`;
+}
+
+/**
+ * Write web versions (max WEB_MAX_SIZE px on the long side) of the originals
+ * in originalsDir to artworksDir, skipping those newer than their original.
+ * With force, every web version is rewritten.
+ * Returns { generated, skipped, failed } lists of original file names.
+ */
+export function optimizeImages({ originalsDir, artworksDir, force = false }) {
+    const result = { generated: [], skipped: [], failed: [] };
+    if (!fs.existsSync(originalsDir)) return result;
+
+    fs.mkdirSync(artworksDir, { recursive: true });
+
+    const originals = fs.readdirSync(originalsDir)
+        .filter(file => ORIGINAL_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .filter(file => fs.statSync(path.join(originalsDir, file)).isFile());
+
+    originals.forEach((file, index) => {
+        const original = path.join(originalsDir, file);
+        const output = path.join(artworksDir, webFileName(file));
+
+        if (!force && fs.existsSync(output) && fs.statSync(output).mtimeMs > fs.statSync(original).mtimeMs) {
+            result.skipped.push(file);
+            return;
+        }
+
+        console.log(`  📸 Optimizing [${index + 1}/${originals.length}]: ${file}`);
+        try {
+            // [0] takes the first layer of layered formats such as PSD and TIFF
+            execFileSync('magick', [
+                `${original}[0]`,
+                '-resize', `${WEB_MAX_SIZE}x${WEB_MAX_SIZE}>`,
+                '-quality', String(WEB_QUALITY),
+                '-strip',
+                output
+            ], { stdio: 'ignore' });
+            const sizeKB = filePath => Math.round(fs.statSync(filePath).size / 1024);
+            console.log(`    📊 ${sizeKB(original)} KB → ${sizeKB(output)} KB`);
+            result.generated.push(file);
+        } catch (error) {
+            console.log(`    ❌ Failed to optimize: ${error.message}`);
+            result.failed.push(file);
+        }
+    });
+
+    return result;
+}
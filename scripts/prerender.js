@@ -0,0 +1,123 @@
+/**
+ * Prerender Module
+ * Bakes each artwork's title, description, Open Graph tags, canonical URL and
+ * VisualArtwork schema into a copy of artwork.html, so crawlers and link
+ * previews that don't run JavaScript see the artwork
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { escapeXml, absoluteUrl, artworkPagePath } from './sitemap.js';
+import { buildArtworkSchema } from '../js/seo.js';
+
+// Directory the pages are written to, one artwork/<ID>/index.html per artwork
+export const ARTWORK_PAGES_DIR = 'artwork';
+
+/**
+ * Replace the content attribute of the tag with the given id
+ */
+function setContent(html, id, value) {
+    return html.replace(
+        new RegExp(`(<meta[^>]*\\bcontent=")[^"]*("[^>]*\\bid="${id}")`),
+        (match, before, after) => `${before}${escapeXml(value)}${after}`
+    );
+}
+
+/**
+ * Replace the text of the element with the given id
+ */
+function setText(html, id, text) {
+    return html.replace(
+        new RegExp(`(<(\\w+)[^>]*\\bid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`),
+        (match, open, tag, close) => `${open}${escapeXml(text)}${close}`
+    );
+}
+
+/**
+ * Render one artwork's page from the artwork.html template
+ */
+export function renderArtworkPage(template, artwork, { siteUrl, siteTitle, artist }) {
+    const baseUrl = siteUrl.replace(/\/+$/, '');
+    const pageUrl = `${baseUrl}/${artworkPagePath(artwork.id)}`;
+    const mainImage = (artwork.images && artwork.images[0]) || { url: artwork.imageUrl };
+    const imageUrl = artwork.missingImage ? '' : absoluteUrl(baseUrl, mainImage.url);
+    const title = `${artwork.title} | ${siteTitle}`;
+    const description = artwork.description || `View ${artwork.title} by ${artist}`;
+
+    const schema = buildArtworkSchema(artwork, { url: pageUrl, image: imageUrl || undefined, artist });
+    // Keep "</script>" inside strings from closing the tag
+    const schemaJson = JSON.stringify(schema).replace(/</g, '\\u003c');
+
+    const headTags = [
+        `<link rel="canonical" href="${escapeXml(pageUrl)}">`,
+        '<meta name="twitter:card" content="summary_large_image">',
+        ...(mainImage.width && mainImage.height ? [
+            `<meta property="og:image:width" content="${mainImage.width}">`,
+            `<meta property="og:image:height" content="${mainImage.height}">`
+        ] : [])
+    ].map(tag => `    ${tag}`).join('\n');
+
+    let html = template
+        // Resolve the site's relative URLs from artwork/<ID>/ as if from the root
+        .replace(/<html([^>]*)>/, (match, attributes) => `<html${attributes} data-artwork-id="${escapeXml(artwork.id)}">`)
+        .replace(/(<meta charset="[^"]*">)/i, '$1\n    <base href="../../">')
+        .replace(/<meta name="description" content="[^"]*">/, () => `<meta name="description" content="${escapeXml(description)}">`)
+        .replace(/(<meta property="og:image"[^>]*>)/, (match, tag) => `${tag}\n${headTags}`)
+        .replace(
+            /(<script type="application\/ld\+json" id="artwork-schema">)[\s\S]*?(<\/script>)/,
+            (match, open, close) => `${open}${schemaJson}${close}`
+        )
+        .replace(/(<img id="artwork-image" src=")[^"]*(" alt=")[^"]*"/, (match, src, alt) =>
+            `${src}${escapeXml(mainImage.url)}${alt}${escapeXml(artwork.alt || artwork.title)}"`);
+
+    html = setText(html, 'page-title', title);
+    html = setContent(html, 'og-title', artwork.title);
+    html = setContent(html, 'og-description', description);
+    html = setContent(html, 'og-url', pageUrl);
+    html = setContent(html, 'og-image', imageUrl);
+    html = setText(html, 'artwork-title', artwork.title);
+    html = setText(html, 'artwork-description-text', artwork.description || '');
+
+    return html;
+}
+
+/**
+ * Render every artwork's page.
+ * Returns [{ fileName, html }] with file names relative to the site root.
+ */
+export function renderArtworkPages(template, portfolioData, options) {
+    return Object.values(portfolioData.collections || {})
+        .flatMap(collection => collection.artworks || [])
+        // IDs become directory names, so skip any that would leave artwork/
+        .filter(artwork => artwork.id && artwork.id === path.basename(artwork.id) && artwork.id !== '..')
+        .map(artwork => ({
+            fileName: `${ARTWORK_PAGES_DIR}/${artwork.id}/index.html`,
+            html: renderArtworkPage(template, artwork, options)
+        }));
+}
+
+/**
+ * Write artwork/<ID>/index.html for every artwork into outputDir, removing
+ * pages of artworks no longer in the portfolio.
+ * Returns the number of pages written.
+ */
+export function writeArtworkPages(portfolioData, { outputDir, ...options }) {
+    const template = fs.readFileSync(path.join(outputDir, 'artwork.html'), 'utf8');
+    const pages = renderArtworkPages(template, portfolioData, options);
+    const pagesDir = path.join(outputDir, ARTWORK_PAGES_DIR);
+
+    if (fs.existsSync(pagesDir)) {
+        const current = new Set(pages.map(page => path.basename(path.dirname(page.fileName))));
+        fs.readdirSync(pagesDir)
+            .filter(entry => !current.has(entry))
+            .forEach(entry => fs.rmSync(path.join(pagesDir, entry), { recursive: true, force: true }));
+    }
+
+    pages.forEach(({ fileName, html }) => {
+        const filePath = path.join(outputDir, fileName);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, html, 'utf8');
+    });
+
+    return pages.length;
+}
@@ -0,0 +1,131 @@
+/**
+ * Schema Validation Module
+ * Validates portfolio data against data/portfolio.schema.json.
+ * Supports the JSON Schema keywords that schema uses: type, const, enum,
+ * required, properties, additionalProperties, items, oneOf, minimum,
+ * pattern and local $ref.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(path.dirname(__filename));
+
+export const PORTFOLIO_SCHEMA_PATH = path.join(projectRoot, 'data', 'portfolio.schema.json');
+
+/**
+ * Load the published portfolio.json schema
+ */
+export function loadPortfolioSchema() {
+    return JSON.parse(fs.readFileSync(PORTFOLIO_SCHEMA_PATH, 'utf8'));
+}
+
+/**
+ * JSON type name of a value ("integer" also counts as "number")
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local reference such as "#/$defs/artwork"
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate a value against a schema, collecting { path, message } errors
+ */
+function validateNode(value, schema, root, at, errors) {
+    if (schema.$ref) {
+        validateNode(value, resolveRef(root, schema.$ref), root, at, errors);
+        return;
+    }
+
+    if (schema.oneOf) {
+        const attempts = schema.oneOf.map(option => {
+            const optionErrors = [];
+            validateNode(value, option, root, at, optionErrors);
+            return optionErrors;
+        });
+        const matching = attempts.filter(optionErrors => optionErrors.length === 0).length;
+        if (matching > 1) {
+            errors.push({ path: at, message: 'matches more than one of the allowed shapes' });
+        } else if (matching === 0) {
+            // An option that only failed inside the value is the one that was meant
+            const nested = attempts.filter(optionErrors => optionErrors.every(error => error.path !== at));
+            if (nested.length > 0) {
+                errors.push(...nested.sort((a, b) => a.length - b.length)[0]);
+            } else {
+                const reasons = attempts.map(optionErrors => optionErrors.map(error => error.message).join(', '));
+                errors.push({ path: at, message: `doesn't match any allowed shape (${reasons.join('; ')})` });
+            }
+        }
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: at, message: `should be ${types.join(' or ')}, not ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push({ path: at, message: `should be ${JSON.stringify(schema.const)}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `should be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push({ path: at, message: `should be at least ${schema.minimum}` });
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: at, message: `should match ${schema.pattern}` });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: at, message: `is missing "${key}"` });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${at}.${key}`;
+            if (schema.properties && schema.properties[key]) {
+                validateNode(child, schema.properties[key], root, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(child, schema.additionalProperties, root, childPath, errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, root, `${at}[${index}]`, errors));
+    }
+}
+
+/**
+ * Validate portfolio data against a schema (the published one by default).
+ * Returns a list of { path, message } errors, empty when the data is valid.
+ */
+export function validatePortfolio(data, schema = loadPortfolioSchema()) {
+    const errors = [];
+    validateNode(data, schema, schema, '$', errors);
+    return errors;
+}
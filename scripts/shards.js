@@ -0,0 +1,111 @@
+/**
+ * Shards Module
+ * Splits portfolio data into a small index (collection summaries with their
+ * first row of artworks) and one file per collection, so the site only
+ * downloads the collections a visitor actually looks at
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Written next to portfolio.json, relative to data/
+export const INDEX_FILE = 'index.json';
+export const SHARDS_DIR = 'collections';
+
+// Artworks per collection included in the index, enough to fill the first row
+export const DEFAULT_PREVIEW_COUNT = 8;
+
+// Artwork fields the gallery's collection rows need, the rest stay in the shard
+const PREVIEW_FIELDS = [
+    'id', 'title', 'alt', 'collection', 'medium', 'year', 'dimensions',
+    'price', 'available', 'featured', 'filename', 'imageUrl', 'missingImage'
+];
+
+/**
+ * Shard file name for a collection ID, unique within the portfolio
+ */
+function shardFileName(id, usedNames) {
+    const base = String(id).replace(/[^A-Za-z0-9_-]+/g, '_') || 'collection';
+    let name = base;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+        name = `${base}-${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return `${name}.json`;
+}
+
+/**
+ * Keep only the fields shown in a collection row
+ */
+function toPreview(artwork) {
+    const preview = {};
+    PREVIEW_FIELDS.forEach(field => {
+        if (artwork[field] !== undefined) preview[field] = artwork[field];
+    });
+    return preview;
+}
+
+/**
+ * Split portfolio data into the index and the collection shards.
+ * Returns { index, shards } where shards is [{ fileName, data }] with
+ * file names relative to data/.
+ */
+export function buildShards(portfolioData, { previewCount = DEFAULT_PREVIEW_COUNT } = {}) {
+    // The full CSV row order is only needed by the build
+    const { csvOrder, ...meta } = portfolioData.meta;
+    const usedNames = new Set();
+    const index = { meta, collections: {}, artworks: {} };
+    const shards = [];
+
+    Object.values(portfolioData.collections).forEach(collection => {
+        const { artworks = [], ...summary } = collection;
+        const fileName = `${SHARDS_DIR}/${shardFileName(collection.id, usedNames)}`;
+
+        index.collections[collection.id] = {
+            ...summary,
+            artworkCount: artworks.length,
+            shard: fileName,
+            preview: artworks.slice(0, previewCount).map(toPreview)
+        };
+        artworks.forEach(artwork => {
+            index.artworks[artwork.id] = collection.id;
+        });
+
+        shards.push({
+            fileName,
+            data: {
+                meta: { schemaVersion: meta.schemaVersion, generatedAt: meta.generatedAt },
+                collection
+            }
+        });
+    });
+
+    return { index, shards };
+}
+
+/**
+ * Write data/index.json and data/collections/<ID>.json to dataDir,
+ * removing shards of collections that no longer exist.
+ * Returns { files, shardCount }.
+ */
+export function writeShards(portfolioData, { dataDir, previewCount }) {
+    const { index, shards } = buildShards(portfolioData, { previewCount });
+    const shardsDir = path.join(dataDir, SHARDS_DIR);
+
+    if (fs.existsSync(shardsDir)) {
+        const current = new Set(shards.map(shard => path.basename(shard.fileName)));
+        fs.readdirSync(shardsDir)
+            .filter(file => file.endsWith('.json') && !current.has(file))
+            .forEach(file => fs.unlinkSync(path.join(shardsDir, file)));
+    } else {
+        fs.mkdirSync(shardsDir, { recursive: true });
+    }
+
+    // Shards are fetched by the browser only, so they are written without indentation
+    shards.forEach(({ fileName, data }) => {
+        fs.writeFileSync(path.join(dataDir, fileName), JSON.stringify(data), 'utf8');
+    });
+    fs.writeFileSync(path.join(dataDir, INDEX_FILE), JSON.stringify(index), 'utf8');
+
+    return { files: [INDEX_FILE, `${SHARDS_DIR}/`], shardCount: shards.length };
+}
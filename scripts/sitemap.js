@@ -0,0 +1,186 @@
+/**
+ * Sitemap Module
+ * Writes sitemap.xml with image entries and collection pages, split into a
+ * sitemap index when the catalogue exceeds the per-file URL limit
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// The sitemap protocol allows at most 50,000 URLs per file
+export const MAX_SITEMAP_URLS = 50000;
+
+// Placeholder site URL used until siteUrl is set in build.config.json
+export const DEFAULT_SITE_URL = 'https://your-domain.com';
+
+const SITEMAP_NAMESPACES = 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+    'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"';
+
+/**
+ * Escape text for XML content
+ */
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn a site-relative URL such as ./artworks/ABS-0001.jpg into an absolute one
+ */
+export function absoluteUrl(siteUrl, relativeUrl) {
+    return `${siteUrl}/${relativeUrl.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Path of an artwork's prerendered page, relative to the site root
+ */
+export function artworkPagePath(id) {
+    return `artwork/${encodeURIComponent(id)}/`;
+}
+
+/**
+ * Latest of a list of ISO dates, or null
+ */
+function latestDate(dates) {
+    const valid = dates.filter(Boolean).sort();
+    return valid.length > 0 ? valid[valid.length - 1] : null;
+}
+
+/**
+ * Build the image:image entries for an artwork
+ */
+function artworkImages(artwork, siteUrl) {
+    if (artwork.missingImage) return [];
+
+    const images = artwork.images && artwork.images.length > 0
+        ? artwork.images
+        : [{ url: artwork.imageUrl }];
+
+    return images.map((image, index) => ({
+        loc: absoluteUrl(siteUrl, image.url),
+        title: index === 0 ? artwork.title : `${artwork.title} (${index + 1})`,
+        caption: image.caption || (index === 0 ? artwork.alt || artwork.description : '')
+    }));
+}
+
+/**
+ * Collect every URL of the site: home page, collection pages and artwork pages
+ */
+function collectUrls(portfolioData, siteUrl) {
+    const collections = Object.values(portfolioData.collections || {});
+    const artworks = collections.flatMap(collection => collection.artworks || []);
+
+    const urls = [{
+        loc: `${siteUrl}/`,
+        lastmod: latestDate(artworks.map(artwork => artwork.updatedAt)),
+        priority: '1.0',
+        images: []
+    }];
+
+    collections.forEach(collection => {
+        urls.push({
+            loc: `${siteUrl}/?collection=${encodeURIComponent(collection.id)}`,
+            lastmod: latestDate((collection.artworks || []).map(artwork => artwork.updatedAt)),
+            priority: '0.9',
+            images: []
+        });
+    });
+
+    artworks.forEach(artwork => {
+        urls.push({
+            loc: `${siteUrl}/${artworkPagePath(artwork.id)}`,
+            lastmod: artwork.updatedAt || null,
+            priority: '0.8',
+            images: artworkImages(artwork, siteUrl)
+        });
+    });
+
+    return urls;
+}
+
+/**
+ * Render one <url> entry
+ */
+function renderUrl(url) {
+    const lines = [
+        '  <url>',
+        `    <loc>${escapeXml(url.loc)}</loc>`
+    ];
+    if (url.lastmod) lines.push(`    <lastmod>${url.lastmod.split('T')[0]}</lastmod>`);
+    lines.push(`    <priority>${url.priority}</priority>`);
+
+    url.images.forEach(image => {
+        lines.push('    <image:image>');
+        lines.push(`      <image:loc>${escapeXml(image.loc)}</image:loc>`);
+        if (image.title) lines.push(`      <image:title>${escapeXml(image.title)}</image:title>`);
+        if (image.caption) lines.push(`      <image:caption>${escapeXml(image.caption)}</image:caption>`);
+        lines.push('    </image:image>');
+    });
+
+    lines.push('  </url>');
+    return lines.join('\n');
+}
+
+/**
+ * Render a <urlset> document
+ */
+function renderUrlset(urls) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset ${SITEMAP_NAMESPACES}>
+${urls.map(renderUrl).join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Render a <sitemapindex> document pointing at the part files
+ */
+function renderIndex(parts, siteUrl) {
+    const entries = parts.map(({ file, lastmod }) => [
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${siteUrl}/${file}`)}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod.split('T')[0]}</lastmod>`] : []),
+        '  </sitemap>'
+    ].join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+}
+
+/**
+ * Write sitemap.xml to outputDir. Catalogues with more than maxUrls URLs get
+ * sitemap-1.xml, sitemap-2.xml, ... and sitemap.xml becomes their index.
+ * Returns { files, urlCount }.
+ */
+export function writeSitemap(portfolioData, { siteUrl, outputDir, maxUrls = MAX_SITEMAP_URLS }) {
+    const baseUrl = siteUrl.replace(/\/+$/, '');
+    const urls = collectUrls(portfolioData, baseUrl);
+
+    // Remove parts left over from a previous, larger build
+    fs.readdirSync(outputDir)
+        .filter(file => /^sitemap-\d+\.xml$/.test(file))
+        .forEach(file => fs.unlinkSync(path.join(outputDir, file)));
+
+    if (urls.length <= maxUrls) {
+        fs.writeFileSync(path.join(outputDir, 'sitemap.xml'), renderUrlset(urls), 'utf8');
+        return { files: ['sitemap.xml'], urlCount: urls.length };
+    }
+
+    const parts = [];
+    for (let start = 0; start < urls.length; start += maxUrls) {
+        const chunk = urls.slice(start, start + maxUrls);
+        const file = `sitemap-${parts.length + 1}.xml`;
+        fs.writeFileSync(path.join(outputDir, file), renderUrlset(chunk), 'utf8');
+        parts.push({ file, lastmod: latestDate(chunk.map(url => url.lastmod)) });
+    }
+    fs.writeFileSync(path.join(outputDir, 'sitemap.xml'), renderIndex(parts, baseUrl), 'utf8');
+
+    return { files: ['sitemap.xml', ...parts.map(part => part.file)], urlCount: urls.length };
+}
@@ -0,0 +1,137 @@
+/**
+ * Tag Taxonomy Module
+ * Reads config/tags.csv (slugs, display labels, synonyms and parent tags),
+ * resolves artwork tags against it and generates opt-in automatic tags
+ */
+
+import { slugifyTag } from '../js/tags.js';
+
+// Words never used as automatic tags, unless build.config.json sets tagStopwords
+export const DEFAULT_STOPWORDS = [
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their',
+    'this', 'these', 'those', 'to', 'was', 'with', 'untitled', 'study', 'series', 'part'
+];
+
+/**
+ * Build the taxonomy from config/tags.csv rows ({ row, line } pairs).
+ * Returns { terms, aliases, problems }:
+ * - terms: Map of slug → { slug, label, parent }
+ * - aliases: Map of synonym slug → tag slug
+ * - problems: [{ line, message }] for rows that were skipped or ignored
+ */
+export function buildTaxonomy(rows) {
+    const terms = new Map();
+    const aliases = new Map();
+    const problems = [];
+    const report = (line, message) => problems.push({ line, message });
+
+    rows.forEach(({ row, line }) => {
+        const label = (row.Label || '').trim();
+        const slug = slugifyTag(row.Slug || label);
+        if (!slug) {
+            report(line, 'Missing Slug and Label (row is skipped)');
+            return;
+        }
+        if (terms.has(slug)) {
+            report(line, `Duplicate tag "${slug}" (row is skipped)`);
+            return;
+        }
+
+        terms.set(slug, {
+            slug,
+            label: label || row.Slug.trim(),
+            parent: slugifyTag(row.Parent) || null,
+            line
+        });
+
+        (row.Synonyms || '').split(',').map(slugifyTag).filter(Boolean).forEach(synonym => {
+            if (aliases.has(synonym) && aliases.get(synonym) !== slug) {
+                report(line, `Synonym "${synonym}" already belongs to "${aliases.get(synonym)}" (ignored)`);
+                return;
+            }
+            aliases.set(synonym, slug);
+        });
+    });
+
+    terms.forEach(term => {
+        if (term.parent && !terms.has(term.parent)) {
+            report(term.line, `Unknown Parent "${term.parent}" for "${term.slug}" (ignored)`);
+            term.parent = null;
+        }
+    });
+
+    // Break parent cycles so ancestor lookups always end
+    terms.forEach(term => {
+        const seen = new Set([term.slug]);
+        let parent = term.parent;
+        while (parent) {
+            if (seen.has(parent)) {
+                report(term.line, `Parent of "${term.slug}" leads back to itself (ignored)`);
+                term.parent = null;
+                break;
+            }
+            seen.add(parent);
+            parent = terms.get(parent).parent;
+        }
+    });
+
+    terms.forEach(term => delete term.line);
+    problems.sort((a, b) => a.line - b.line);
+    return { terms, aliases, problems };
+}
+
+/**
+ * Resolve tags written in the sheet (labels, slugs or synonyms) to
+ * { slug, label } objects, adding each tag's parents after it.
+ * Tags the taxonomy doesn't know keep their own text as the label.
+ * Returns { tags, unknown } where unknown lists the unrecognised slugs.
+ */
+export function resolveTags(values, taxonomy) {
+    const tags = new Map();
+    const unknown = [];
+
+    const add = slug => {
+        if (tags.has(slug)) return;
+        const term = taxonomy.terms.get(slug);
+        tags.set(slug, { slug, label: term.label });
+        if (term.parent) add(term.parent);
+    };
+
+    values.forEach(value => {
+        if (value && typeof value === 'object') {
+            // Already resolved (e.g. from a sidecar copied out of portfolio.json)
+            value = value.label || value.slug;
+        }
+        const slug = slugifyTag(value);
+        if (!slug) return;
+
+        const known = taxonomy.terms.has(slug) ? slug : taxonomy.aliases.get(slug);
+        if (known) {
+            add(known);
+        } else if (!tags.has(slug)) {
+            tags.set(slug, { slug, label: String(value).trim() });
+            unknown.push(slug);
+        }
+    });
+
+    return { tags: [...tags.values()], unknown };
+}
+
+/**
+ * Generate automatic tags for an artwork without any.
+ * With a taxonomy, only its tags and synonyms found in the title or
+ * description are used; without one, the title's words that are not stopwords.
+ */
+export function generateAutoTags(artwork, taxonomy, stopwords) {
+    if (taxonomy.terms.size > 0) {
+        // Slugs join words with "-", so "-slug-" only matches whole words
+        const text = `-${slugifyTag(`${artwork.title} ${artwork.description || ''}`)}-`;
+        return [...taxonomy.terms.keys(), ...taxonomy.aliases.keys()]
+            .filter(slug => text.includes(`-${slug}-`));
+    }
+
+    const ignored = new Set(stopwords.map(word => word.toLowerCase()));
+    const words = (artwork.title || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words.filter(word => word.length > 2 && !ignored.has(word)))];
+}
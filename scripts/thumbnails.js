@@ -0,0 +1,89 @@
+/**
+ * Thumbnail Module
+ * Generates the square collection preview thumbnails in artworks/thumbnails/
+ * with ImageMagick, leaving the original (LFS) images untouched
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { inspectImageFile } from './images.js';
+
+export const THUMBNAIL_SIZE = 300;
+export const THUMBNAIL_QUALITY = 80;
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Check whether the ImageMagick `magick` command is available
+ */
+export function hasImageMagick() {
+    try {
+        execFileSync('magick', ['-version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Thumbnail path for a source image: <name>-thumb.jpg
+ */
+export function thumbnailFileName(file) {
+    return `${path.parse(file).name}-thumb.jpg`;
+}
+
+/**
+ * Generate missing or outdated thumbnails for the images in artworksDir.
+ * With force, every thumbnail is regenerated.
+ * Returns { generated, skipped, failed, invalid } lists of file names;
+ * invalid holds { file, reason } for LFS pointers and corrupt images.
+ */
+export function generateThumbnails({ artworksDir, thumbnailsDir = path.join(artworksDir, 'thumbnails'), force = false }) {
+    const result = { generated: [], skipped: [], failed: [], invalid: [] };
+    if (!fs.existsSync(artworksDir)) return result;
+
+    fs.mkdirSync(thumbnailsDir, { recursive: true });
+
+    const sources = fs.readdirSync(artworksDir)
+        .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .filter(file => !file.includes('-thumb') && !file.includes('thumbnail'))
+        .filter(file => fs.statSync(path.join(artworksDir, file)).isFile());
+
+    sources.forEach((file, index) => {
+        const source = path.join(artworksDir, file);
+        const output = path.join(thumbnailsDir, thumbnailFileName(file));
+
+        const inspection = inspectImageFile(source);
+        if (!inspection.ok) {
+            console.log(`  ❌ ${file}: ${inspection.reason}`);
+            result.invalid.push({ file, reason: inspection.reason });
+            return;
+        }
+
+        if (!force && fs.existsSync(output) && fs.statSync(output).mtimeMs > fs.statSync(source).mtimeMs) {
+            result.skipped.push(file);
+            return;
+        }
+
+        console.log(`  🖼️  Processing [${index + 1}/${sources.length}]: ${file}`);
+        try {
+            // Square crop from the center
+            execFileSync('magick', [
+                source,
+                '-resize', `${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}^`,
+                '-gravity', 'center',
+                '-extent', `${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}`,
+                '-quality', String(THUMBNAIL_QUALITY),
+                '-strip',
+                output
+            ], { stdio: 'ignore' });
+            result.generated.push(file);
+        } catch (error) {
+            console.log(`    ❌ Failed to create thumbnail: ${error.message}`);
+            result.failed.push(file);
+        }
+    });
+
+    return result;
+}